@@ -3,6 +3,9 @@
  * Sets up Express server with middleware, routes, and MongoDB connection
  */
 
+// Load environment variables from .env file before any module reads them
+require("dotenv").config();
+
 // Import required packages
 const express = require("express");
 const mongoose = require("mongoose");
@@ -10,9 +13,10 @@ const morgan = require("morgan");
 const cors = require("cors");
 const authJwt = require("./helpers/jwt");
 const errorHandler = require("./helpers/error-handler");
-
-// Load environment variables from .env file
-require("dotenv").config();
+const requestId = require("./helpers/request-id");
+const { rateLimit } = require("./helpers/rate-limit");
+const { getStorageAdapter } = require("./helpers/storage");
+const { NotFoundError } = require("./helpers/errors");
 
 // Load models first to prevent recompilation issues
 require('./models/User'); // Corrected case for import
@@ -20,39 +24,97 @@ require('./models/product');
 require('./models/category');
 require('./models/order');
 require('./models/orderItem');
+require('./models/cart');
+require('./models/coupon');
+require('./models/shippingZone');
+require('./models/taxRule');
+require('./models/payment');
+require('./models/review');
+require('./models/accountToken');
+require('./models/media');
+require('./models/auditLog');
 
 // Import route handlers
 const productsRouter = require("./routers/products");
 const categoriesRouter = require("./routers/categories");
 const ordersRouter = require("./routers/orders");
 const usersRouter = require("./routers/users");
+const cartsRouter = require("./routers/carts");
+const couponsRouter = require("./routers/coupons");
+const shippingZonesRouter = require("./routers/shippingZones");
+const taxRulesRouter = require("./routers/taxRules");
+const paymentsRouter = require("./routers/payments");
+const mediaRouter = require("./routers/media");
+const auditRouter = require("./routers/audit");
 
 // Initialize Express application
 const app = express();
 
-// Enable Cross-Origin Resource Sharing for all routes
-app.use(cors());
+// Behind a reverse proxy, take the client IP used for rate limiting from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
+
+// Give every request an ID, returned in X-Request-Id and in error responses
+app.use(requestId());
 
-// Middleware to parse JSON request body
-app.use(express.json());
+// Enable Cross-Origin Resource Sharing for all routes
+app.use(
+  cors({
+    exposedHeaders: [
+      "X-Request-Id",
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+    ],
+  })
+);
+
+// Middleware to parse JSON request body, keeping the raw body for webhook signature checks
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Middleware to log HTTP requests in a compact format
 app.use(morgan("tiny"));
 
-// Middleware to serve static files from the "public/uploads" directory
-app.use("/public/uploads", express.static(__dirname + "/public/uploads"));
+// Serve stored files under /public/uploads when they are kept on the local disk
+const storage = getStorageAdapter();
+if (storage.name === "local") {
+  app.use("/public/uploads", express.static(storage.rootDir()));
+}
 
 // Get API URL prefix
 const api = process.env.API_URL;
 
-// Register routes before JWT middleware to make them available to the Swagger generator
+// Limit requests per client IP; webhooks have their own limit in the payments router
+app.use(api, rateLimit("api", { skip: (req) => req.path.startsWith("/payments/webhooks/") }));
+
+// JWT authentication middleware, populates req.auth for the routers' permission checks
+app.use(authJwt());
+
+// Register routes
 app.use(`${api}/products`, productsRouter);
 app.use(`${api}/categories`, categoriesRouter);
 app.use(`${api}/orders`, ordersRouter);
 app.use(`${api}/users`, usersRouter);
-
-// JWT authentication middleware (after routes are registered)
-app.use(authJwt());
+app.use(`${api}/carts`, cartsRouter);
+app.use(`${api}/coupons`, couponsRouter);
+app.use(`${api}/shippingZones`, shippingZonesRouter);
+app.use(`${api}/taxRules`, taxRulesRouter);
+app.use(`${api}/payments`, paymentsRouter);
+app.use(`${api}/media`, mediaRouter);
+app.use(`${api}/audit`, auditRouter);
+
+// Unknown API routes get the same error envelope as everything else
+app.use(api, (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`, { code: "ROUTE_NOT_FOUND" }));
+});
 
 // Global error handler middleware
 app.use(errorHandler);
@@ -0,0 +1,217 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { User } = require("../models/user");
+const { AccountToken } = require("../models/accountToken");
+const { BadRequestError } = require("./errors");
+const { sendMail } = require("./mailer");
+const { clearLoginFailures } = require("./rate-limit");
+const { hashToken, revokeUserSessions } = require("./tokens");
+
+/**
+ * Account flows that prove control of the email address: verification of new
+ * addresses and password resets. Both mail a single-use, expiring token.
+ *
+ * Configured through environment variables:
+ *  - APP_URL: storefront base URL the mailed links point to (default "http://localhost:3000")
+ *  - EMAIL_VERIFICATION_TTL_HOURS: lifetime of verification tokens (default 48)
+ *  - PASSWORD_RESET_TTL_MINUTES: lifetime of password reset tokens (default 60)
+ */
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/**
+ * Error raised when a mailed token is unknown, expired or already used (400 INVALID_TOKEN)
+ */
+class InvalidAccountTokenError extends BadRequestError {
+  constructor() {
+    super("Invalid or expired token", { code: "INVALID_TOKEN" });
+  }
+}
+
+/**
+ * Create a token for a user; earlier unused tokens with the same purpose stop working
+ * @param {Object} user - User document
+ * @param {string} purpose - One of ACCOUNT_TOKEN_PURPOSES
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} Raw token to mail
+ */
+async function issueAccountToken(user, purpose, ttlMs) {
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const raw = crypto.randomBytes(32).toString("hex");
+  await new AccountToken({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(raw),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  }).save();
+  return raw;
+}
+
+/**
+ * Use a token once
+ * @param {string} raw - Raw token from the mail
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<Object>} User the token was sent to
+ * @throws {InvalidAccountTokenError} If the token cannot be used
+ */
+async function consumeAccountToken(raw, purpose) {
+  // Marking it used in the lookup lets only one concurrent request through
+  const token = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(raw)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  if (!token) {
+    throw new InvalidAccountTokenError();
+  }
+  const user = await User.findById(token.user);
+  // Tokens only prove the address they were sent to
+  if (!user || user.email !== token.email) {
+    throw new InvalidAccountTokenError();
+  }
+  return user;
+}
+
+/**
+ * Send a mail, logging instead of raising failures: the account change has
+ * already been made and the user can ask for another mail
+ * @param {Object} message - See mailer.sendMail
+ * @returns {Promise<void>}
+ */
+async function mailQuietly(message) {
+  try {
+    await sendMail(message);
+  } catch (err) {
+    console.error(`Could not send "${message.subject}" to ${message.to}:`, err);
+  }
+}
+
+/**
+ * Mail a user a link to confirm their email address
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const raw = await issueAccountToken(
+    user,
+    "verify_email",
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  const link = `${APP_URL}/verify-email?token=${raw}`;
+  await mailQuietly({
+    to: user.email,
+    subject: "Confirm your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Please confirm your email address by opening <a href="${link}">this link</a>.</p>` +
+      `<p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`,
+  });
+}
+
+/**
+ * Send a new verification mail to an unverified account.
+ * Does nothing for unknown or already verified addresses, so callers cannot
+ * tell which addresses have accounts.
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+async function requestEmailVerification(email) {
+  const user = await User.findOne({ email });
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user);
+  }
+}
+
+/**
+ * Confirm an email address with a verification token
+ * @param {string} raw - Token from the verification mail
+ * @returns {Promise<Object>} Verified user
+ * @throws {InvalidAccountTokenError} If the token cannot be used
+ */
+async function verifyEmail(raw) {
+  const user = await consumeAccountToken(raw, "verify_email");
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+  return user;
+}
+
+/**
+ * Mail a password reset link to an active account.
+ * Does nothing for unknown or disabled accounts, so callers cannot tell which
+ * addresses have accounts.
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const user = await User.findOne({ email });
+  if (!user || !user.isActive) {
+    return;
+  }
+  const raw = await issueAccountToken(user, "reset_password", PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = `${APP_URL}/reset-password?token=${raw}`;
+  await mailQuietly({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Someone asked to reset the password of your account. To choose a new password, open this link:\n${link}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for it, ignore this mail.`,
+    html:
+      `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Someone asked to reset the password of your account. To choose a new password, open <a href="${link}">this link</a>.</p>` +
+      `<p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for it, ignore this mail.</p>`,
+  });
+}
+
+/**
+ * Set a new password with a reset token. Every session of the user ends and
+ * a login lockout is lifted.
+ * @param {string} raw - Token from the reset mail
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Updated user
+ * @throws {InvalidAccountTokenError} If the token cannot be used
+ */
+async function resetPassword(raw, password) {
+  const user = await consumeAccountToken(raw, "reset_password");
+  user.passwordHash = bcrypt.hashSync(password, 10);
+  // Opening the mailed link proves the address as well
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeUserSessions(user.id);
+  await clearLoginFailures(user.email);
+  return user;
+}
+
+/**
+ * Escape text for use in an HTML mail
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = {
+  InvalidAccountTokenError,
+  requestEmailVerification,
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  verifyEmail,
+};
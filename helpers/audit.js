@@ -0,0 +1,122 @@
+const { AuditLog } = require("../models/auditLog");
+
+/**
+ * Audit trail of changes made through the API.
+ *
+ * Mutating routes call recordAudit once their change succeeded. An entry
+ * holds who made the change (the JWT userId), the action, the changed document
+ * and only the fields that changed, before and after, plus the client IP and
+ * request ID. Creations record every field as after, deletions as before.
+ *
+ * Changes made in a transaction write their entry in the same transaction, so
+ * the change and its entry are committed together or not at all. Elsewhere the
+ * entry is written right after the change; a failed write fails the request.
+ *
+ * Carts, sessions (login, refresh, logout) and the verification and reset
+ * mails are not audited: they change no shared data.
+ */
+
+/**
+ * Fields never compared or recorded
+ * @constant {string[]}
+ */
+const AUDIT_IGNORED_FIELDS = ["_id", "__v"];
+
+/**
+ * Fields recorded as changed without their values
+ * @constant {string[]}
+ */
+const AUDIT_REDACTED_FIELDS = ["passwordHash"];
+
+/**
+ * Plain JSON copy of a document or object, for comparing and storing
+ * @param {Object|null} [value] - Mongoose document or plain object
+ * @returns {Object|null}
+ */
+function auditSnapshot(value) {
+  if (!value) return null;
+  const plain =
+    typeof value.toObject === "function"
+      ? value.toObject({ depopulate: true, flattenMaps: true, versionKey: false })
+      : value;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+/**
+ * Fields that differ between two versions of a document
+ * @param {Object|null} before - Snapshot before the change, null for creations
+ * @param {Object|null} after - Snapshot after the change, null for deletions
+ * @returns {{before: (Object|null), after: (Object|null)}} Changed fields of each version
+ */
+function changedFields(before, after) {
+  const changes = { before: before && {}, after: after && {} };
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.forEach((field) => {
+    const previous = before ? before[field] : undefined;
+    const next = after ? after[field] : undefined;
+    if (AUDIT_IGNORED_FIELDS.includes(field) || JSON.stringify(previous) === JSON.stringify(next)) {
+      return;
+    }
+    const redacted = AUDIT_REDACTED_FIELDS.includes(field);
+    if (before && previous !== undefined) changes.before[field] = redacted ? "[redacted]" : previous;
+    if (after && next !== undefined) changes.after[field] = redacted ? "[redacted]" : next;
+  });
+  return changes;
+}
+
+/**
+ * Append an audit log entry for a change a request made.
+ * Updates that changed nothing are not recorded. A failed write is logged and
+ * thrown, aborting the transaction the entry is written in.
+ *
+ * @param {import('express').Request} req - Request that made the change: its user
+ *        is the actor, its IP and ID are recorded
+ * @param {Object} entry
+ * @param {string} entry.action - "<entity>.<verb>", e.g. "product.update"
+ * @param {string} entry.entity - Model name of the changed document, e.g. "Product"
+ * @param {*} [entry.entityId] - ID of the changed document (default: _id of after or before)
+ * @param {Object} [entry.before] - Document or fields before the change, take it with
+ *        auditSnapshot before changing a loaded document; empty for creations
+ * @param {Object} [entry.after] - Document or fields after the change, empty for deletions
+ * @param {*} [entry.actor] - Acting user for requests without a token, e.g. registration
+ * @param {import('mongoose').ClientSession} [entry.session] - Transaction that made the change
+ * @returns {Promise<void>}
+ * @throws {Error} If the entry cannot be written
+ *
+ * @example
+ * const before = auditSnapshot(product);
+ * product.set(fields);
+ * await product.save();
+ * await recordAudit(req, { action: "product.update", entity: "Product", before, after: product });
+ */
+async function recordAudit(req, entry) {
+  const before = auditSnapshot(entry.before);
+  const after = auditSnapshot(entry.after);
+  const changes = changedFields(before, after);
+  const isUpdate = before && after;
+  if (isUpdate && Object.keys({ ...changes.before, ...changes.after }).length === 0) {
+    return;
+  }
+
+  const document = entry.after || entry.before || {};
+  try {
+    await new AuditLog({
+      actor: entry.actor || (req.auth && req.auth.userId) || null,
+      action: entry.action,
+      entity: entry.entity,
+      entityId: entry.entityId || document._id || null,
+      before: changes.before,
+      after: changes.after,
+      ip: req.ip,
+      requestId: req.id,
+    }).save({ session: entry.session });
+  } catch (err) {
+    console.error(`Could not write the audit log entry for ${entry.action}:`, err);
+    throw err;
+  }
+}
+
+module.exports = {
+  auditSnapshot,
+  recordAudit,
+};
@@ -0,0 +1,123 @@
+/**
+ * Role-based authorization helpers.
+ * Routers declare the permission each route needs; roles are mapped to
+ * permissions here so the policy lives in one place.
+ */
+
+const { AuthenticationError, ForbiddenError } = require("./errors");
+
+const ROLES = ["customer", "staff", "admin"];
+
+const CUSTOMER_PERMISSIONS = ["orders:create", "reviews:create"];
+
+const STAFF_PERMISSIONS = [
+  ...CUSTOMER_PERMISSIONS,
+  "orders:read",
+  "orders:write",
+  "products:write",
+  "categories:write",
+  "users:read",
+];
+
+const ADMIN_PERMISSIONS = [
+  ...STAFF_PERMISSIONS,
+  "orders:delete",
+  "users:write",
+  "users:delete",
+  "coupons:read",
+  "coupons:write",
+  "pricing:write",
+  "reviews:moderate",
+  "media:manage",
+  "archive:manage",
+  "audit:read",
+];
+
+/**
+ * Permissions granted to each role
+ * @constant {Object<string, string[]>}
+ */
+const ROLE_PERMISSIONS = {
+  customer: CUSTOMER_PERMISSIONS,
+  staff: STAFF_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+};
+
+/**
+ * Resolve the role carried by a decoded JWT payload.
+ * Tokens issued before roles existed only carry `isAdmin`, which is not
+ * trusted: the user may have been demoted since, so they count as customers.
+ * @param {Object} auth - Decoded JWT payload (req.auth)
+ * @returns {string} One of ROLES
+ */
+function roleOf(auth) {
+  if (!auth) return null;
+  return ROLES.includes(auth.role) ? auth.role : "customer";
+}
+
+/**
+ * Check whether a decoded JWT payload grants a permission
+ * @param {Object} auth - Decoded JWT payload (req.auth)
+ * @param {string} permission - Permission name, e.g. "orders:read"
+ * @returns {boolean}
+ */
+function hasPermission(auth, permission) {
+  const role = roleOf(auth);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Check whether the caller is the owner of a resource
+ * @param {Object} auth - Decoded JWT payload (req.auth)
+ * @param {*} ownerId - User ID owning the resource (ObjectId, string or populated user)
+ * @returns {boolean}
+ */
+function isOwner(auth, ownerId) {
+  if (!auth || !auth.userId || !ownerId) return false;
+  const id = ownerId._id ? ownerId._id : ownerId;
+  return id.toString() === auth.userId;
+}
+
+/**
+ * Express middleware factory declaring the permission a route requires.
+ * When `options.owner` is given, callers without the permission are still let
+ * through if they own the resource.
+ *
+ * @param {string} permission - Permission required to call the route
+ * @param {Object} [options]
+ * @param {Function} [options.owner] - (req) => ownerId, may return a promise
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.get("/:id", authorize("users:read", { owner: (req) => req.params.id }), handler);
+ */
+function authorize(permission, options = {}) {
+  return async (req, res, next) => {
+    if (!req.auth) {
+      return next(new AuthenticationError());
+    }
+    if (hasPermission(req.auth, permission)) {
+      return next();
+    }
+    if (options.owner) {
+      try {
+        const ownerId = await options.owner(req);
+        if (isOwner(req.auth, ownerId)) {
+          return next();
+        }
+      } catch (err) {
+        return next(err);
+      }
+    }
+    next(new ForbiddenError());
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  authorize,
+  hasPermission,
+  isOwner,
+  roleOf,
+};
@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { Cart } = require("../models/cart");
+const { Product } = require("../models/product");
+const { BadRequestError, ConflictError } = require("./errors");
+const { placeOrder } = require("./order-placement");
+const { resolveUrl } = require("./storage");
+
+/**
+ * Server-side cart helpers.
+ * Authenticated callers use their user cart; guests are identified by the
+ * token sent in the X-Cart-Token header, which is issued with their first cart.
+ *
+ * Configured through environment variables:
+ *  - GUEST_CART_TTL_DAYS: days of inactivity before a guest cart is removed (default 30)
+ */
+
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+/**
+ * Error raised for invalid cart changes (400 INVALID_CART)
+ */
+class InvalidCartError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: "INVALID_CART" });
+  }
+}
+
+/**
+ * Error raised when a cart line asks for more than is in stock (409 OUT_OF_STOCK)
+ */
+class InsufficientStockError extends ConflictError {
+  constructor(product, available) {
+    super(`Only ${available} unit(s) of product ${product} in stock`, {
+      code: "OUT_OF_STOCK",
+      details: { product, available },
+    });
+  }
+}
+
+/**
+ * Expiry date of a guest cart touched now
+ * @returns {Date}
+ */
+function guestExpiry() {
+  return new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Read the guest cart token of a request
+ * @param {import('express').Request} req - Express request object
+ * @returns {string|undefined}
+ */
+function guestTokenOf(req) {
+  return req.get("x-cart-token") || undefined;
+}
+
+/**
+ * Check whether a cart line is for a product and variant
+ * @param {Object} item - Cart line
+ * @param {string} productId - Product ID
+ * @param {string} [variantId] - Variant ID
+ * @returns {boolean}
+ */
+function isLine(item, productId, variantId) {
+  return (
+    item.product.toString() === String(productId) &&
+    String(item.variant || "") === String(variantId || "")
+  );
+}
+
+/**
+ * Find the cart of the caller, optionally creating it
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Create an empty cart when none exists
+ * @returns {Promise<Object|null>} Cart document
+ */
+async function findCart(req, options = {}) {
+  if (req.auth) {
+    const cart = await Cart.findOne({ user: req.auth.userId });
+    if (cart || !options.create) return cart;
+    return new Cart({ user: req.auth.userId, items: [] });
+  }
+
+  const guestToken = guestTokenOf(req);
+  const cart = guestToken ? await Cart.findOne({ guestToken }) : null;
+  if (cart || !options.create) return cart;
+  return new Cart({
+    guestToken: crypto.randomBytes(24).toString("hex"),
+    items: [],
+    expiresAt: guestExpiry(),
+  });
+}
+
+/**
+ * Persist a cart after a change
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Object>} Saved cart
+ */
+async function saveCart(cart) {
+  cart.dateUpdated = new Date();
+  if (cart.guestToken) {
+    cart.expiresAt = guestExpiry();
+  }
+  return cart.save();
+}
+
+/**
+ * Set the quantity of a product (variant) in a cart, checking the live product and stock
+ * @param {Object} cart - Cart document
+ * @param {string} productId - Product ID
+ * @param {number} quantity - New quantity, 0 removes the line
+ * @param {string} [variantId] - Variant ID, required for products with variants
+ * @returns {Promise<Object>} The cart (not saved)
+ * @throws {InvalidCartError} If the product, variant or quantity is invalid
+ * @throws {InsufficientStockError} If the product or variant does not have enough stock
+ */
+async function setItemQuantity(cart, productId, quantity, variantId) {
+  if (!mongoose.isValidObjectId(productId)) {
+    throw new InvalidCartError("product must be a valid product ID");
+  }
+  if (variantId != null && !mongoose.isValidObjectId(variantId)) {
+    throw new InvalidCartError("variant must be a valid variant ID");
+  }
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new InvalidCartError("quantity must be a non-negative integer");
+  }
+
+  const index = cart.items.findIndex((item) => isLine(item, productId, variantId));
+  if (quantity === 0) {
+    if (index !== -1) cart.items.splice(index, 1);
+    return cart;
+  }
+
+  const product = await Product.findById(productId).select("price countInStock options variants");
+  if (!product) {
+    throw new InvalidCartError(`Product ${productId} does not exist`);
+  }
+  const variant = variantId ? product.findVariant(variantId) : null;
+  if (product.variants.length > 0 && !variant) {
+    throw new InvalidCartError(`Choose an existing variant of product ${productId}`);
+  }
+  if (product.variants.length === 0 && variantId) {
+    throw new InvalidCartError(`Product ${productId} has no variants`);
+  }
+  const stock = (variant || product).countInStock;
+  if (stock < quantity) {
+    throw new InsufficientStockError(productId, stock);
+  }
+
+  const unitPrice = variant && variant.price != null ? variant.price : product.price;
+  if (index === -1) {
+    cart.items.push({ product: product._id, variant: variantId, quantity, unitPrice });
+  } else {
+    cart.items[index].quantity = quantity;
+    cart.items[index].unitPrice = unitPrice;
+  }
+  return cart;
+}
+
+/**
+ * Move a guest cart into a user's cart. Quantities of products in both carts
+ * are added up; the guest cart is deleted.
+ * @param {string} userId - User ID
+ * @param {string} guestToken - Guest cart token
+ * @returns {Promise<Object|null>} The user's cart, or null if there was no guest cart
+ */
+async function mergeGuestCart(userId, guestToken) {
+  if (!guestToken) return null;
+  const guestCart = await Cart.findOne({ guestToken });
+  if (!guestCart) return null;
+
+  const cart = (await Cart.findOne({ user: userId })) || new Cart({ user: userId, items: [] });
+  guestCart.items.forEach((guestItem) => {
+    const item = cart.items.find((line) => isLine(line, guestItem.product, guestItem.variant));
+    if (item) {
+      item.quantity += guestItem.quantity;
+    } else {
+      cart.items.push(guestItem.toObject());
+    }
+  });
+
+  await saveCart(cart);
+  await Cart.deleteOne({ _id: guestCart._id });
+  return cart;
+}
+
+/**
+ * Render a cart with live prices and stock.
+ * Each line reports the current unit price, whether it changed since it was
+ * added, and whether the product (variant) is still available in the requested quantity.
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Object>} Cart JSON with `items`, `subtotal` and `valid`
+ */
+async function priceCart(cart) {
+  const products = await Product.find({
+    _id: { $in: cart.items.map((item) => item.product) },
+  }).select("name image price countInStock options variants");
+  const byId = new Map(products.map((product) => [product.id, product]));
+
+  let subtotal = 0;
+  const items = cart.items.map((item) => {
+    const product = byId.get(item.product.toString());
+    const variant = product && item.variant ? product.findVariant(item.variant) : null;
+    if (!product || (item.variant && !variant)) {
+      return {
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        available: false,
+        inStock: false,
+      };
+    }
+    const unitPrice = variant && variant.price != null ? variant.price : product.price;
+    const lineTotal = unitPrice * item.quantity;
+    subtotal += lineTotal;
+    return {
+      product: item.product,
+      variant: item.variant,
+      sku: variant ? variant.sku : undefined,
+      variantName: variant ? product.variantLabel(variant) : undefined,
+      name: product.name,
+      image: resolveUrl(variant && variant.images.length > 0 ? variant.images[0] : product.image),
+      quantity: item.quantity,
+      unitPrice: unitPrice,
+      priceChanged: item.unitPrice !== unitPrice,
+      lineTotal: lineTotal,
+      available: true,
+      inStock: (variant || product).countInStock >= item.quantity,
+    };
+  });
+
+  return {
+    ...cart.toJSON(),
+    items,
+    subtotal,
+    valid: items.length > 0 && items.every((item) => item.available && item.inStock),
+  };
+}
+
+/**
+ * Place an order from a cart and delete the cart in the same transaction, so a
+ * cart is checked out at most once. A cart changed since it was read is not
+ * checked out.
+ * @param {Object} cart - Cart document
+ * @param {Object} fields - Remaining Order fields, see placeOrder
+ * @param {Object} [options] - placeOrder options (changedBy, couponCodes)
+ * @param {import('mongoose').ClientSession} [options.session] - Run in this transaction instead of a new one
+ * @returns {Promise<Object>} Created order
+ * @throws {InvalidCartError} If the cart is empty, or was changed or checked out meanwhile
+ */
+async function checkoutCart(cart, fields, options = {}) {
+  if (cart.items.length === 0) {
+    throw new InvalidCartError("Cart is empty");
+  }
+  const items = cart.items.map((item) => ({
+    product: item.product,
+    variant: item.variant || undefined,
+    quantity: item.quantity,
+  }));
+
+  const checkout = async (session) => {
+    const order = await placeOrder(items, fields, { ...options, session });
+    const { deletedCount } = await Cart.deleteOne(
+      { _id: cart._id, dateUpdated: cart.dateUpdated },
+      { session }
+    );
+    if (deletedCount === 0) {
+      throw new InvalidCartError("Cart was changed or checked out meanwhile, try again");
+    }
+    return order;
+  };
+  return options.session ? checkout(options.session) : mongoose.connection.transaction(checkout);
+}
+
+module.exports = {
+  InvalidCartError,
+  InsufficientStockError,
+  checkoutCart,
+  findCart,
+  saveCart,
+  setItemQuantity,
+  mergeGuestCart,
+  priceCart,
+  guestTokenOf,
+};
@@ -0,0 +1,270 @@
+const mongoose = require("mongoose");
+const { Category } = require("../models/category");
+const { Product } = require("../models/product");
+const { ConflictError, ValidationFailedError } = require("./errors");
+
+/**
+ * Category tree maintenance: slugs, parents and ancestors, subtree lookups
+ * and safe deletion and restore.
+ */
+
+/**
+ * Error raised for invalid category changes (400 INVALID_CATEGORY)
+ */
+class InvalidCategoryError extends ValidationFailedError {
+  constructor(message) {
+    super(message, { code: "INVALID_CATEGORY" });
+  }
+}
+
+/**
+ * Error raised when a category cannot be deleted because it is still in use
+ * (409 CATEGORY_IN_USE)
+ */
+class CategoryInUseError extends ConflictError {
+  constructor(products, children) {
+    super(
+      `Category still has ${products} product(s) and ${children} subcategory(ies); ` +
+        "pass reassignTo to move them first",
+      { code: "CATEGORY_IN_USE", details: { products, children } }
+    );
+  }
+}
+
+/**
+ * Turn a name into a URL slug, e.g. "Men's Shoes" -> "mens-shoes"
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+  return String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Find a free slug, adding -2, -3... to the base when it is taken
+ * @param {string} base - Wanted slug
+ * @param {mongoose.Types.ObjectId} [excludeId] - Category the slug is for, ignored in the check
+ * @param {import('mongoose').ClientSession} [session] - Transaction session
+ * @returns {Promise<string>}
+ */
+async function uniqueSlug(base, excludeId, session) {
+  const root = base || "category";
+  let slug = root;
+  // Deleted categories keep their slug for a restore
+  const taken = (candidate) =>
+    Category.exists({ slug: candidate, _id: { $ne: excludeId } })
+      .setOptions({ withDeleted: true })
+      .session(session);
+  for (let suffix = 2; await taken(slug); suffix++) {
+    slug = `${root}-${suffix}`;
+  }
+  return slug;
+}
+
+/**
+ * Set the slug of a category: an explicitly given slug is used as is,
+ * otherwise one is derived from the name for new or renamed categories
+ * @param {Object} category - Category document
+ * @param {string} [slug] - Requested slug
+ * @param {import('mongoose').ClientSession} [session] - Transaction session
+ * @returns {Promise<void>}
+ * @throws {InvalidCategoryError} If the requested slug is empty or another category has it
+ */
+async function assignSlug(category, slug, session) {
+  if (slug) {
+    category.slug = slugify(slug);
+    if (!category.slug) {
+      throw new InvalidCategoryError("slug must contain letters or digits");
+    }
+    // Deleted categories keep their slug for a restore
+    const taken = await Category.exists({ slug: category.slug, _id: { $ne: category._id } })
+      .setOptions({ withDeleted: true })
+      .session(session);
+    if (taken) {
+      throw new InvalidCategoryError(`slug ${category.slug} is already used by another category`);
+    }
+  } else if (!category.slug || category.isModified("name")) {
+    category.slug = await uniqueSlug(slugify(category.name), category._id, session);
+  }
+}
+
+/**
+ * Move a category under a new parent (or to the top level), keeping the
+ * ancestors of the category and of its whole subtree in sync.
+ * The category itself is not saved; its descendants are, so callers moving an
+ * existing category run this, their checks and the category save in one transaction.
+ *
+ * @param {Object} category - Category document
+ * @param {string|null} parentId - New parent ID, null for a top-level category
+ * @param {import('mongoose').ClientSession} [session] - Transaction session
+ * @returns {Promise<void>}
+ * @throws {InvalidCategoryError} If the parent does not exist or is the category itself or below it
+ */
+async function setParent(category, parentId, session) {
+  let ancestors = [];
+  if (parentId) {
+    if (!mongoose.isValidObjectId(parentId)) {
+      throw new InvalidCategoryError("parent must be a category ID");
+    }
+    const parent = await Category.findById(parentId).session(session);
+    if (!parent) {
+      throw new InvalidCategoryError("Parent category does not exist");
+    }
+    if (parent._id.equals(category._id) || parent.ancestors.some((id) => id.equals(category._id))) {
+      throw new InvalidCategoryError("A category cannot be moved below itself");
+    }
+    ancestors = [...parent.ancestors, parent._id];
+  }
+
+  category.parent = parentId || null;
+  category.ancestors = ancestors;
+  if (category.isNew) return;
+
+  const descendants = await Category.find({ ancestors: category._id }).session(session);
+  for (const descendant of descendants) {
+    const below = descendant.ancestors.slice(
+      descendant.ancestors.findIndex((id) => id.equals(category._id))
+    );
+    descendant.ancestors = [...ancestors, ...below];
+    await descendant.save({ session });
+  }
+}
+
+/**
+ * Expand category IDs to include all their descendants
+ * @param {Array<string|mongoose.Types.ObjectId>} ids - Category IDs
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} The categories and their descendants
+ */
+async function withDescendants(ids) {
+  const objectIds = ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const descendants = await Category.find({ ancestors: { $in: objectIds } }).distinct("_id");
+  return [...objectIds, ...descendants];
+}
+
+/**
+ * Nest a flat list of categories into a tree.
+ * Siblings are ordered by sortOrder, then name.
+ * @param {Array<Object>} categories - Category documents
+ * @returns {Array<Object>} Top-level categories, each with a `children` array
+ */
+function buildTree(categories) {
+  const nodes = new Map(
+    categories.map((category) => [category.id, { ...category.toJSON(), children: [] }])
+  );
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const sort = (list) => {
+    list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+}
+
+/**
+ * Delete a category. A category that still has products or subcategories
+ * is only deleted when a target is given: its products, deleted ones included,
+ * move to the target and its subcategories are moved under it.
+ * The category is archived (soft deleted) and can be restored. Moving and
+ * deleting happen in one transaction.
+ *
+ * @param {string} categoryId - Category ID
+ * @param {string} [reassignTo] - Category receiving the products and subcategories
+ * @param {Object} [options]
+ * @param {import('mongoose').ClientSession} [options.session] - Run in this transaction instead of a new one
+ * @returns {Promise<{category: Object, reassignedTo: (mongoose.Types.ObjectId|null),
+ *          productsMoved: number, subcategoriesMoved: number}|null>} Deleted category and what
+ *          moved where, or null if it does not exist
+ * @throws {CategoryInUseError} If the category is in use and no target is given
+ * @throws {InvalidCategoryError} If the target does not exist or is inside the deleted subtree
+ */
+async function deleteCategory(categoryId, reassignTo, options = {}) {
+  const remove = async (session) => {
+    const category = await Category.findById(categoryId).session(session);
+    if (!category) {
+      return null;
+    }
+
+    const result = { category, reassignedTo: null, productsMoved: 0, subcategoriesMoved: 0 };
+    const products = await Product.countDocuments({ category: category._id }).session(session);
+    const children = await Category.find({ parent: category._id }).session(session);
+    if (products > 0 || children.length > 0) {
+      if (!reassignTo) {
+        throw new CategoryInUseError(products, children.length);
+      }
+      if (!mongoose.isValidObjectId(reassignTo)) {
+        throw new InvalidCategoryError("reassignTo must be a category ID");
+      }
+      const target = await Category.findById(reassignTo).session(session);
+      if (!target) {
+        throw new InvalidCategoryError("reassignTo category does not exist");
+      }
+      const belowCategory = target.ancestors.some((id) => id.equals(category._id));
+      if (target._id.equals(category._id) || belowCategory) {
+        throw new InvalidCategoryError("reassignTo cannot be the deleted category or one below it");
+      }
+
+      const moved = await Product.updateMany(
+        { category: category._id },
+        { category: target._id },
+        { session }
+      );
+      for (const child of children) {
+        await setParent(child, target._id, session);
+        await child.save({ session });
+      }
+      result.reassignedTo = target._id;
+      result.productsMoved = moved.modifiedCount;
+      result.subcategoriesMoved = children.length;
+    }
+
+    await category.softDelete({ session });
+    return result;
+  };
+  return options.session ? remove(options.session) : mongoose.connection.transaction(remove);
+}
+
+/**
+ * Restore a deleted category where it was in the tree. Its subtree is moved
+ * along and the category restored in one transaction.
+ * @param {Object} category - Deleted category document
+ * @param {Object} [options]
+ * @param {import('mongoose').ClientSession} [options.session] - Run in this transaction instead of a new one
+ * @returns {Promise<Object>} Restored category
+ * @throws {ConflictError} If its parent is deleted (409 CATEGORY_DELETED)
+ */
+async function restoreCategory(category, options = {}) {
+  const restore = async (session) => {
+    if (category.parent && !(await Category.exists({ _id: category.parent }).session(session))) {
+      throw new ConflictError("The parent category is deleted, restore it first", {
+        code: "CATEGORY_DELETED",
+      });
+    }
+    // The parent may have moved since, recompute the ancestors
+    await setParent(category, category.parent, session);
+    return category.restore({ session });
+  };
+  return options.session ? restore(options.session) : mongoose.connection.transaction(restore);
+}
+
+module.exports = {
+  CategoryInUseError,
+  InvalidCategoryError,
+  assignSlug,
+  buildTree,
+  deleteCategory,
+  restoreCategory,
+  setParent,
+  slugify,
+  withDescendants,
+};
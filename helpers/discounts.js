@@ -0,0 +1,213 @@
+const { Coupon } = require("../models/coupon");
+const { Order } = require("../models/order");
+const { BadRequestError } = require("./errors");
+
+/**
+ * Coupon validation and discount calculation for order placement.
+ */
+
+/**
+ * Error raised when a coupon code cannot be applied (400 INVALID_COUPON)
+ */
+class InvalidCouponError extends BadRequestError {
+  constructor(code, reason) {
+    super(`Coupon ${code} ${reason}`, { code: "INVALID_COUPON", details: { coupon: code } });
+    this.couponCode = code;
+  }
+}
+
+/**
+ * Round a currency amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Normalize the coupon codes sent by a client
+ * @param {string|string[]} codes - One code or a list of codes
+ * @returns {string[]} Unique upper-case codes
+ */
+function normalizeCodes(codes) {
+  if (!codes) return [];
+  const list = Array.isArray(codes) ? codes : [codes];
+  return [...new Set(list.map((code) => String(code).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Check whether an order line is targeted by a coupon
+ * @param {Object} coupon - Coupon document
+ * @param {Object} line - { product, category, unitPrice, quantity }
+ * @returns {boolean}
+ */
+function isEligible(coupon, line) {
+  const hasProducts = coupon.products && coupon.products.length > 0;
+  const hasCategories = coupon.categories && coupon.categories.length > 0;
+  if (!hasProducts && !hasCategories) return true;
+  const matchesProduct =
+    hasProducts && coupon.products.some((id) => id.toString() === line.product.toString());
+  const matchesCategory =
+    hasCategories &&
+    !!line.category &&
+    coupon.categories.some((id) => id.toString() === line.category.toString());
+  return matchesProduct || matchesCategory;
+}
+
+/**
+ * Amount a single coupon takes off the given lines
+ * @param {Object} coupon - Coupon document
+ * @param {Array<Object>} lines - Order lines
+ * @returns {number} Discount amount
+ */
+function discountAmount(coupon, lines) {
+  const eligible = lines.filter((line) => isEligible(coupon, line));
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+  switch (coupon.type) {
+    case "percentage":
+      return (eligibleTotal * coupon.value) / 100;
+    case "fixed":
+      return Math.min(coupon.value, eligibleTotal);
+    case "buy_x_get_y":
+      return eligible.reduce((sum, line) => {
+        const groupSize = coupon.buyQuantity + coupon.getQuantity;
+        const freeUnits = Math.floor(line.quantity / groupSize) * coupon.getQuantity;
+        return sum + freeUnits * line.unitPrice;
+      }, 0);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Compute the discount breakdown of a set of coupons.
+ * Coupons stack; the total discount never exceeds the subtotal.
+ *
+ * @param {Array<Object>} coupons - Validated coupon documents
+ * @param {Array<Object>} lines - Order lines: { product, category, unitPrice, quantity }
+ * @returns {{discounts: Array<Object>, discountTotal: number, freeShipping: boolean}}
+ */
+function computeDiscounts(coupons, lines) {
+  const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+  let remaining = subtotal;
+  let freeShipping = false;
+
+  const discounts = coupons.map((coupon) => {
+    if (coupon.type === "free_shipping") {
+      freeShipping = true;
+    }
+    const amount = roundMoney(Math.min(discountAmount(coupon, lines), remaining));
+    remaining -= amount;
+    return {
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description,
+      amount: amount,
+    };
+  });
+
+  return {
+    discounts,
+    discountTotal: roundMoney(subtotal - remaining),
+    freeShipping,
+  };
+}
+
+/**
+ * Load coupons by code and check they can be used for an order
+ *
+ * @param {string[]} codes - Normalized coupon codes
+ * @param {Object} context
+ * @param {string} [context.user] - ID of the user the order is for
+ * @param {number} context.subtotal - Order subtotal before discounts
+ * @param {import('mongoose').ClientSession} [session] - Transaction session
+ * @returns {Promise<Array<Object>>} Coupon documents, in the order of `codes`
+ * @throws {InvalidCouponError} If a coupon is unknown or cannot be used
+ */
+async function loadCoupons(codes, context, session) {
+  const now = new Date();
+  const coupons = [];
+  for (const code of codes) {
+    const coupon = await Coupon.findOne({ code }).session(session);
+    if (!coupon || !coupon.isActive) {
+      throw new InvalidCouponError(code, "is not valid");
+    }
+    if ((coupon.startsAt && coupon.startsAt > now) || (coupon.expiresAt && coupon.expiresAt < now)) {
+      throw new InvalidCouponError(code, "is not valid at this time");
+    }
+    if (coupon.usageLimit != null && coupon.usageCount >= coupon.usageLimit) {
+      throw new InvalidCouponError(code, "has been used up");
+    }
+    if (context.subtotal < coupon.minOrderValue) {
+      throw new InvalidCouponError(code, `requires a minimum order of ${coupon.minOrderValue}`);
+    }
+    if (coupon.perUserLimit != null) {
+      if (!context.user) {
+        throw new InvalidCouponError(code, "requires a customer account");
+      }
+      const uses = await Order.countDocuments({
+        user: context.user,
+        couponCodes: code,
+        status: { $ne: "Cancelled" },
+      }).session(session);
+      if (uses >= coupon.perUserLimit) {
+        throw new InvalidCouponError(code, "has already been used the maximum number of times");
+      }
+    }
+    coupons.push(coupon);
+  }
+  return coupons;
+}
+
+/**
+ * Count one use of each coupon, guarding the total usage limit atomically
+ * @param {Array<Object>} coupons - Coupon documents
+ * @param {import('mongoose').ClientSession} session - Transaction session
+ * @returns {Promise<void>}
+ * @throws {InvalidCouponError} If a coupon reached its limit in the meantime
+ */
+async function redeemCoupons(coupons, session) {
+  for (const coupon of coupons) {
+    const result = await Coupon.updateOne(
+      {
+        _id: coupon._id,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ["$usageCount", "$usageLimit"] } },
+        ],
+      },
+      { $inc: { usageCount: 1 } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      throw new InvalidCouponError(coupon.code, "has been used up");
+    }
+  }
+}
+
+/**
+ * Give back the uses of the coupons applied to an order
+ * @param {Object} order - Order document
+ * @param {import('mongoose').ClientSession} session - Transaction session
+ * @returns {Promise<void>}
+ */
+async function releaseCoupons(order, session) {
+  if (!order.couponCodes || order.couponCodes.length === 0) return;
+  await Coupon.updateMany(
+    { code: { $in: order.couponCodes }, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+}
+
+module.exports = {
+  InvalidCouponError,
+  computeDiscounts,
+  loadCoupons,
+  normalizeCodes,
+  redeemCoupons,
+  releaseCoupons,
+  roundMoney,
+};
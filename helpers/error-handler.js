@@ -1,64 +1,121 @@
-const e = require("express");
+const {
+  AppError,
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  ValidationFailedError,
+} = require("./errors");
+
+/**
+ * Translate errors raised by libraries (express-jwt, Mongoose, MongoDB, multer,
+ * body-parser) into application errors. Anything else is an internal error.
+ * @param {Error} err - Error caught by Express
+ * @returns {AppError|null} Application error, null for internal errors
+ */
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  switch (err.name) {
+    case "UnauthorizedError":
+      // express-jwt: missing, malformed, expired or revoked token
+      return new AuthenticationError(
+        err.code === "credentials_required" ? "Authentication required" : "Invalid or expired token"
+      );
+    case "JsonWebTokenError":
+      return new AuthenticationError("Invalid token");
+    case "TokenExpiredError":
+      return new AuthenticationError("Token expired", { code: "TOKEN_EXPIRED" });
+    case "ValidationError":
+      // Mongoose document validation
+      return new ValidationFailedError(err.message, {
+        details: Object.values(err.errors || {}).map((fieldError) => ({
+          location: "body",
+          field: fieldError.path,
+          message: fieldError.message,
+        })),
+      });
+    case "CastError":
+      return new BadRequestError(`Invalid value for ${err.path}`, { code: "INVALID_ID" });
+    case "VersionError":
+      return new ConflictError("Resource was modified concurrently, please retry", {
+        code: "CONCURRENT_UPDATE",
+      });
+    case "MulterError":
+      return new BadRequestError(err.message, { code: "UPLOAD_FAILED" });
+    case "MongoError":
+    case "MongoServerError":
+      if (err.code === 11000) {
+        return new ConflictError("Duplicate key error", {
+          code: "DUPLICATE_KEY",
+          details: Object.keys(err.keyValue || {}).map((field) => ({
+            location: "body",
+            field,
+            message: "is already taken",
+          })),
+        });
+      }
+      return null;
+    default:
+      break;
+  }
+  // body-parser errors carry a status and whether their message is safe to show
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError("Invalid JSON format", { code: "INVALID_JSON" });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: "BAD_REQUEST" });
+  }
+  return null;
+}
 
 /**
  * Express middleware for centralized error handling.
- * Handles different types of errors and returns appropriate HTTP responses with error messages.
+ * Every error is rendered as the same JSON envelope:
+ *
+ *   { code, message, details, requestId }
+ *
+ * `code` is machine-readable (see helpers/errors.js), `details` is only present
+ * when the error has some (e.g. the failing fields of a request), `requestId`
+ * matches the X-Request-Id response header. Unexpected errors are logged and
+ * returned as 500 INTERNAL_ERROR; in production their message and stack are hidden.
  *
  * @param {Error} err - The error object caught by Express
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
- * @returns {import('express').Response} Response object with appropriate status code and error message
+ * @returns {import('express').Response} Response object with the error's status code
  *
  * @example
  * // In your Express app setup:
  * app.use(errorHandler);
- *
- * @throws {Error} Returns a 401 status for authentication errors (UnauthorizedError, JsonWebTokenError, TokenExpiredError)
- * @throws {Error} Returns a 404 status for NotFoundError
- * @throws {Error} Returns a 400 status for validation errors, cast errors, duplicate keys, and other client-side errors
- * @throws {Error} Returns a 500 status for all other unhandled errors
  */
 function errorHandler(err, req, res, next) {
-  if (err.name === "UnauthorizedError") {
-    return res.status(401).json({ message: "Unauthorized" });
-  }
-  if (err.name === "NotFoundError") {
-    return res.status(404).json({ message: "Resource not found" });
+  if (res.headersSent) {
+    return next(err);
   }
 
-  if (err.name === "ValidationError") {
-    return res.status(400).json({ message: err.message });
-  }
-  if (err.name === "CastError") {
-    return res.status(400).json({ message: "Invalid ID format" });
-  }
-  if (err.name === "JsonWebTokenError") {
-    return res.status(401).json({ message: "Invalid token" });
-  }
-  if (err.name === "TokenExpiredError") {
-    return res.status(401).json({ message: "Token expired" });
-  }
-  if (err.name === "MongoError" && err.code === 11000) {
-    return res.status(400).json({ message: "Duplicate key error" });
+  const production = process.env.NODE_ENV === "production";
+  const appError = toAppError(err);
+  const body = appError
+    ? { code: appError.code, message: appError.message }
+    : { code: "INTERNAL_ERROR", message: production ? "Internal server error" : err.message };
+  if (appError && appError.details !== undefined) {
+    body.details = appError.details;
   }
-  if (err.name === "MulterError") {
-    return res.status(400).json({ message: err.message });
-  }
-  if (err.name === "SyntaxError") {
-    return res.status(400).json({ message: "Invalid JSON format" });
-  }
-  if (err.name === "RangeError") {
-    return res.status(400).json({ message: "Range error" });
-  }
-  if (err.name === "TypeError") {
-    return res.status(400).json({ message: "Type error", error: err });
+  body.requestId = req.id;
+
+  const status = appError ? appError.status : 500;
+  if (appError && appError.retryAfter) {
+    res.set("Retry-After", String(appError.retryAfter));
   }
-  if (err.name === "ReferenceError") {
-    return res.status(400).json({ message: "Reference error" });
+  if (status >= 500) {
+    console.error(`[${req.id}]`, err);
+    if (!production) {
+      body.stack = err.stack;
+    }
   }
-
-  return res.status(500).json({ message: err });
+  return res.status(status).json(body);
 }
 
 module.exports = errorHandler;
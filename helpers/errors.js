@@ -0,0 +1,105 @@
+/**
+ * Typed application errors.
+ * Routers and helpers throw these; helpers/error-handler.js renders them as
+ * { code, message, details, requestId } with the error's HTTP status.
+ *
+ * Each class has a default `code`; domain errors extend the closest class and
+ * pass a more specific one, e.g. OutOfStockError is a ConflictError with
+ * code OUT_OF_STOCK.
+ */
+
+/**
+ * Base class of errors that are safe to show to API clients
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Message shown to the client
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status (default 500)
+   * @param {string} [options.code] - Machine-readable error code (default INTERNAL_ERROR)
+   * @param {*} [options.details] - Extra information for the client, e.g. failing fields
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = options.status || 500;
+    this.code = options.code || "INTERNAL_ERROR";
+    this.details = options.details;
+  }
+}
+
+/**
+ * The request cannot be processed as sent (400)
+ */
+class BadRequestError extends AppError {
+  constructor(message = "Bad request", options = {}) {
+    super(message, { status: 400, code: "BAD_REQUEST", ...options });
+  }
+}
+
+/**
+ * The request's data is invalid (400); `details` lists the failing fields
+ */
+class ValidationFailedError extends AppError {
+  constructor(message = "Validation failed", options = {}) {
+    super(message, { status: 400, code: "VALIDATION_FAILED", ...options });
+  }
+}
+
+/**
+ * The caller is not authenticated (401)
+ */
+class AuthenticationError extends AppError {
+  constructor(message = "Authentication required", options = {}) {
+    super(message, { status: 401, code: "UNAUTHENTICATED", ...options });
+  }
+}
+
+/**
+ * The caller is authenticated but not allowed to do this (403)
+ */
+class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", options = {}) {
+    super(message, { status: 403, code: "FORBIDDEN", ...options });
+  }
+}
+
+/**
+ * The addressed resource does not exist (404)
+ */
+class NotFoundError extends AppError {
+  constructor(message = "Resource not found", options = {}) {
+    super(message, { status: 404, code: "NOT_FOUND", ...options });
+  }
+}
+
+/**
+ * The request conflicts with the resource's current state (409)
+ */
+class ConflictError extends AppError {
+  constructor(message = "Conflict", options = {}) {
+    super(message, { status: 409, code: "CONFLICT", ...options });
+  }
+}
+
+/**
+ * The caller sent too many requests and has to wait (429).
+ * `options.retryAfter` (seconds) is sent as the Retry-After header.
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", options = {}) {
+    super(message, { status: 429, code: "RATE_LIMITED", ...options });
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  ValidationFailedError,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const multer = require("multer");
+const sharp = require("sharp");
+const { BadRequestError } = require("./errors");
+const { putFile } = require("./storage");
+
+/**
+ * Image uploads: files are identified by their contents, decoded and
+ * re-encoded without metadata, and stored with WebP renditions.
+ *
+ * Configured through environment variables:
+ *  - IMAGE_MAX_UPLOAD_MB: largest accepted upload (default 10)
+ *  - IMAGE_MAX_DIMENSION: longest side of the stored original (default 2048)
+ *  - IMAGE_THUMBNAIL_SIZE, IMAGE_MEDIUM_SIZE, IMAGE_LARGE_SIZE: longest side of
+ *    each rendition (defaults 200, 600, 1200)
+ *  - IMAGE_WEBP_QUALITY: quality of the renditions, 1-100 (default 80)
+ */
+
+const IMAGE_MAX_UPLOAD_MB = Number(process.env.IMAGE_MAX_UPLOAD_MB) || 10;
+const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 2048;
+const IMAGE_WEBP_QUALITY = Number(process.env.IMAGE_WEBP_QUALITY) || 80;
+
+/**
+ * Longest side in pixels of each rendition, by rendition name
+ * @constant {Object<string, number>}
+ */
+const IMAGE_RENDITIONS = {
+  thumbnail: Number(process.env.IMAGE_THUMBNAIL_SIZE) || 200,
+  medium: Number(process.env.IMAGE_MEDIUM_SIZE) || 600,
+  large: Number(process.env.IMAGE_LARGE_SIZE) || 1200,
+};
+
+/**
+ * Accepted formats and the extension their re-encoded originals are stored with
+ * @constant {Object<string, string>}
+ */
+const IMAGE_EXTENSIONS = {
+  jpeg: "jpg",
+  png: "png",
+  gif: "gif",
+  webp: "webp",
+};
+
+// SVG is text: the root element, possibly after an XML declaration, comments or a doctype
+const SVG_PATTERN = /^\uFEFF?\s*(?:<\?xml[^>]*>\s*|<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i;
+
+/**
+ * Error raised for uploads that are not an accepted, decodable image (400 INVALID_IMAGE)
+ */
+class InvalidImageError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: "INVALID_IMAGE" });
+  }
+}
+
+/**
+ * Multer middleware factory keeping uploads in memory until they are processed.
+ * The reported mimetype only rejects obvious non-images early; the contents
+ * are checked by processImage.
+ * @constant {Object}
+ */
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_UPLOAD_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith("image/")) {
+      return cb(new InvalidImageError("Invalid image type"));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Identify an image format by the file's leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} jpeg, png, gif, webp or svg; null for anything else
+ */
+function sniffImageFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "png";
+  }
+  const header = buffer.subarray(0, 12).toString("latin1");
+  if (header.startsWith("GIF87a") || header.startsWith("GIF89a")) {
+    return "gif";
+  }
+  if (header.startsWith("RIFF") && header.slice(8, 12) === "WEBP") {
+    return "webp";
+  }
+  if (SVG_PATTERN.test(buffer.subarray(0, 4096).toString("utf8"))) {
+    return "svg";
+  }
+  return null;
+}
+
+/**
+ * Decode an uploaded image and encode the versions that are stored.
+ * Orientation from EXIF is applied, then all metadata (EXIF, GPS, ICC, XMP) is
+ * dropped. Animated GIFs keep their first frame. SVGs are rejected, as they
+ * can carry scripts and references to other resources.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<{format: string, original: Buffer, renditions: Object<string, Buffer>}>}
+ *          Re-encoded original in the upload's format and a WebP buffer per rendition
+ * @throws {InvalidImageError} If the file is not an accepted image or cannot be decoded
+ */
+async function processImage(buffer) {
+  const format = sniffImageFormat(buffer);
+  if (format === "svg") {
+    throw new InvalidImageError("SVG images are not accepted");
+  }
+  if (!format) {
+    throw new InvalidImageError("File is not a JPEG, PNG, GIF or WebP image");
+  }
+
+  try {
+    const decoded = sharp(buffer, { failOn: "error" }).rotate();
+    const fitWithin = (size) => ({
+      width: size,
+      height: size,
+      fit: "inside",
+      withoutEnlargement: true,
+    });
+    const original = await decoded
+      .clone()
+      .resize(fitWithin(IMAGE_MAX_DIMENSION))
+      .toFormat(format)
+      .toBuffer();
+    const renditions = {};
+    for (const [name, size] of Object.entries(IMAGE_RENDITIONS)) {
+      renditions[name] = await decoded
+        .clone()
+        .resize(fitWithin(size))
+        .webp({ quality: IMAGE_WEBP_QUALITY })
+        .toBuffer();
+    }
+    return { format, original, renditions };
+  } catch (err) {
+    throw new InvalidImageError("Image could not be decoded");
+  }
+}
+
+/**
+ * Process an uploaded image and put it and its renditions into storage.
+ * Files get random names; nothing of the uploaded file name is kept.
+ * @param {Object} file - Multer file kept in memory (file.buffer)
+ * @param {string} folder - Key prefix, e.g. "products"
+ * @returns {Promise<{key: string, renditions: Object<string, string>, contentType: string,
+ *          size: number}>} Storage keys of the image and of each rendition, and the content
+ *          type and size of the stored (re-encoded) image
+ * @throws {InvalidImageError} If the file is not an accepted image
+ */
+async function storeImage(file, folder) {
+  const { format, original, renditions } = await processImage(file.buffer);
+  const id = crypto.randomUUID();
+  const stored = {
+    key: await putFile(`${folder}/${id}.${IMAGE_EXTENSIONS[format]}`, original, {
+      contentType: `image/${format}`,
+    }),
+    renditions: {},
+    contentType: `image/${format}`,
+    size: original.length,
+  };
+  for (const [name, data] of Object.entries(renditions)) {
+    stored.renditions[name] = await putFile(`${folder}/${id}-${name}.webp`, data, {
+      contentType: "image/webp",
+    });
+  }
+  return stored;
+}
+
+module.exports = {
+  IMAGE_RENDITIONS,
+  InvalidImageError,
+  imageUpload,
+  processImage,
+  sniffImageFormat,
+  storeImage,
+};
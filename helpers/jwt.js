@@ -1,4 +1,5 @@
 const { expressjwt: expressJwt } = require("express-jwt");
+const { isAccessTokenRevoked } = require("./tokens");
 
 /**
  * Authentication middleware using JWT (JSON Web Token)
@@ -11,8 +12,14 @@ const { expressjwt: expressJwt } = require("express-jwt");
  *  - Excludes specific paths from authentication:
  *    - GET requests to product endpoints
  *    - GET requests to category endpoints
- *    - Login endpoint
- *    - Registration endpoint (note: there's a typo in 'regiseter')
+ *      (the archived listings among them authenticate with optionalAuthJwt)
+ *    - Login and token refresh endpoints
+ *    - Email verification and password reset endpoints
+ *    - Registration endpoint (POST /users)
+ *    - Cart endpoints, which authenticate with optionalAuthJwt instead
+ *    - Payment provider webhooks, which are verified by their signature
+ *
+ * Authentication only; per-route permissions are enforced by helpers/authorize.js
  */
 function authJwt() {
   const secret = process.env.JWT_SECRET;
@@ -27,17 +34,47 @@ function authJwt() {
       { url: /\/public\/uploads(.*)/, methods: ["GET", "OPTIONS"] },
       { url: /\/api\/v1\/products(.*)/, methods: ["GET", "OPTIONS"] },
       { url: /\/api\/v1\/categories(.*)/, methods: ["GET", "OPTIONS"] },
+      { url: /\/api\/v1\/carts(.*)/ },
+      { url: /\/api\/v1\/payments\/webhooks(.*)/, methods: ["POST"] },
       `${api}/users/login`,
-      `${api}/users/regiseter`,
+      `${api}/users/refresh`,
+      { url: `${api}/users/verify-email`, methods: ["POST"] },
+      { url: `${api}/users/resend-verification`, methods: ["POST"] },
+      { url: `${api}/users/forgot-password`, methods: ["POST"] },
+      { url: `${api}/users/reset-password`, methods: ["POST"] },
+      { url: `${api}/users`, methods: ["POST", "OPTIONS"] },
     ],
   });
 }
 
+/**
+ * Authentication middleware for routes open to guests.
+ * A valid token populates req.auth; requests without a token pass through
+ * with req.auth undefined. Invalid or revoked tokens are still rejected.
+ * @function optionalAuthJwt
+ * @returns {Function} Express middleware
+ */
+function optionalAuthJwt() {
+  return expressJwt({
+    // Resolved per request, routers may be loaded before the environment is
+    secret: () => process.env.JWT_SECRET,
+    algorithms: ["HS256"],
+    isRevoked: isRevoked,
+    credentialsRequired: false,
+  });
+}
+
+/**
+ * Token revocation check.
+ * Rejects tokens on the logout denylist, tokens of disabled or deleted users,
+ * and tokens issued before the user's sessions were revoked.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} token - Decoded token with header and payload
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
 async function isRevoked(req, token) {
-  if (!token.payload.isAdmin) {
-    return true;
-  }
-  return false;
+  return isAccessTokenRevoked(token.payload);
 }
 
 module.exports = authJwt;
+module.exports.optional = optionalAuthJwt;
@@ -0,0 +1,251 @@
+/**
+ * Shared query conventions for list endpoints:
+ *  - `page` (1-based, default 1) and `limit` (default 20, max 100)
+ *  - `sort` as a comma-separated list of fields, prefixed with "-" for descending,
+ *    e.g. `?sort=-price,dateCreated`
+ *
+ * Responses are wrapped in an envelope carrying the total count and
+ * next/prev links that keep the caller's other query parameters.
+ */
+
+const { ValidationFailedError } = require("./errors");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Error raised for malformed list query parameters (400 INVALID_QUERY)
+ */
+class InvalidQueryError extends ValidationFailedError {
+  constructor(message) {
+    super(message, { code: "INVALID_QUERY" });
+  }
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value - Raw query value
+ * @param {number} fallback - Value used when the parameter is missing
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {number}
+ * @throws {InvalidQueryError} If the value is not a positive integer
+ */
+function parsePositiveInt(value, fallback, name) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidQueryError(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parse a numeric query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {number|undefined} Undefined when the parameter is missing
+ * @throws {InvalidQueryError} If the value is not a number
+ */
+function parseNumber(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new InvalidQueryError(`${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Read a boolean spelled as a string ("true"/"false", "1"/"0"); shared with
+ * helpers/validate.js so every route accepts the same spellings
+ * @param {string} value - Raw string
+ * @returns {boolean|undefined} Undefined for any other value
+ */
+function booleanFromString(value) {
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  return undefined;
+}
+
+/**
+ * Parse a boolean query parameter ("true"/"false", "1"/"0")
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {boolean|undefined} Undefined when the parameter is missing
+ * @throws {InvalidQueryError} If the value is not a boolean
+ */
+function parseBoolean(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const parsed = booleanFromString(value);
+  if (parsed === undefined) {
+    throw new InvalidQueryError(`${name} must be true or false`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {Date|undefined} Undefined when the parameter is missing
+ * @throws {InvalidQueryError} If the value is not a valid date
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidQueryError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Split a comma-separated query parameter into trimmed, non-empty values
+ * @param {string} value - Raw query value
+ * @returns {string[]|undefined} Undefined when the parameter is missing
+ */
+function parseList(value) {
+  if (value === undefined || value === "") return undefined;
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+/**
+ * Build a {$gte, $lte} range condition, omitting missing bounds
+ * @param {*} min - Lower bound
+ * @param {*} max - Upper bound
+ * @returns {Object|undefined} Undefined when both bounds are missing
+ */
+function range(min, max) {
+  if (min === undefined && max === undefined) return undefined;
+  const condition = {};
+  if (min !== undefined) condition.$gte = min;
+  if (max !== undefined) condition.$lte = max;
+  return condition;
+}
+
+/**
+ * Parse the `sort` parameter against a whitelist of sortable fields
+ * @param {string} value - Raw query value, e.g. "-price,dateCreated"
+ * @param {string[]} sortFields - Fields callers may sort by
+ * @param {Object} defaultSort - Mongoose sort object used when `sort` is missing
+ * @returns {Object} Mongoose sort object
+ * @throws {InvalidQueryError} If a field is not sortable
+ */
+function parseSort(value, sortFields, defaultSort) {
+  const fields = parseList(value) || [];
+  const sort = fields.length === 0 ? { ...defaultSort } : {};
+  fields.forEach((field) => {
+    const descending = field.startsWith("-");
+    const name = descending ? field.slice(1) : field;
+    if (!sortFields.includes(name)) {
+      throw new InvalidQueryError(
+        `Cannot sort by ${name}. Sortable fields: ${sortFields.join(", ")}`
+      );
+    }
+    sort[name] = descending ? -1 : 1;
+  });
+  // Tie-break on _id so pages are stable
+  if (!sort._id) sort._id = 1;
+  return sort;
+}
+
+/**
+ * Build the link to another page of the current list, keeping other query parameters
+ * @param {import('express').Request} req - Express request object
+ * @param {number} page - Target page
+ * @returns {string} Relative URL
+ */
+function pageLink(req, page) {
+  const params = new URLSearchParams();
+  Object.keys(req.query).forEach((key) => {
+    if (key !== "page") params.set(key, req.query[key]);
+  });
+  params.set("page", page);
+  return `${req.originalUrl.split("?")[0]}?${params.toString()}`;
+}
+
+/**
+ * Parse the `page` and `limit` parameters
+ * @param {import('express').Request} req - Express request object
+ * @returns {{page: number, limit: number, skip: number}}
+ * @throws {InvalidQueryError} If a value is not a positive integer
+ */
+function parsePage(req) {
+  const page = parsePositiveInt(req.query.page, 1, "page");
+  const limit = Math.min(
+    parsePositiveInt(req.query.limit, DEFAULT_LIMIT, "limit"),
+    MAX_LIMIT
+  );
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Build the pagination part of the list envelope
+ * @param {import('express').Request} req - Express request object
+ * @param {number} total - Total number of matching documents
+ * @param {number} page - Current page
+ * @param {number} limit - Page size
+ * @returns {Object} { total, page, limit, totalPages, links: { next, prev } }
+ */
+function pageInfo(req, total, page, limit) {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    links: {
+      next: page < totalPages ? pageLink(req, page + 1) : null,
+      prev: page > 1 ? pageLink(req, Math.min(page - 1, Math.max(totalPages, 1))) : null,
+    },
+  };
+}
+
+/**
+ * Run a paginated, sorted find and wrap the result in the list envelope
+ *
+ * @param {import('express').Request} req - Express request object (reads page, limit, sort)
+ * @param {import('mongoose').Model} model - Model to query
+ * @param {Object} filter - Mongoose filter built by the route
+ * @param {Object} options
+ * @param {string[]} options.sortFields - Fields callers may sort by
+ * @param {Object} options.defaultSort - Sort used when `sort` is missing
+ * @param {Function} [options.prepare] - (query) => query, to add populate/select
+ * @returns {Promise<Object>} { data, total, page, limit, totalPages, links: { next, prev } }
+ *
+ * @example
+ * const result = await paginate(req, Product, filter, {
+ *   sortFields: ["price"],
+ *   defaultSort: { dateCreated: -1 },
+ *   prepare: (query) => query.populate("category"),
+ * });
+ */
+async function paginate(req, model, filter, options) {
+  const { page, limit, skip } = parsePage(req);
+  const sort = parseSort(req.query.sort, options.sortFields, options.defaultSort);
+
+  let query = model.find(filter).sort(sort).skip(skip).limit(limit);
+  if (options.prepare) {
+    query = options.prepare(query);
+  }
+
+  const [data, total] = await Promise.all([query, model.countDocuments(filter)]);
+
+  return { data, ...pageInfo(req, total, page, limit) };
+}
+
+module.exports = {
+  InvalidQueryError,
+  booleanFromString,
+  pageInfo,
+  paginate,
+  parseBoolean,
+  parseDate,
+  parseList,
+  parseNumber,
+  parsePage,
+  range,
+};
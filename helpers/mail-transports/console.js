@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+/**
+ * Mail transport that prints messages to the console instead of sending them.
+ * The default transport, so development needs no mail server.
+ */
+
+/**
+ * Print a message
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<{id: string}>}
+ */
+async function send(message) {
+  const id = crypto.randomUUID();
+  console.log(
+    [
+      `--- mail ${id} ---`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      "",
+      message.text,
+      "--- end of mail ---",
+    ].join("\n")
+  );
+  return { id };
+}
+
+module.exports = {
+  name: "console",
+  send,
+};
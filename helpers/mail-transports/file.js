@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Mail transport that writes every message to a JSON file instead of sending it.
+ * Tests and local setups read the files to follow links from the mails.
+ *
+ * Files go to MAIL_DIR (default ./tmp/mail), named <timestamp>-<id>.json.
+ */
+
+/**
+ * Directory the messages are written to
+ * @returns {string}
+ */
+function mailDir() {
+  return path.resolve(process.env.MAIL_DIR || "./tmp/mail");
+}
+
+/**
+ * Write a message to a file
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<{id: string, path: string}>} Message ID and the file written
+ */
+async function send(message) {
+  const id = crypto.randomUUID();
+  const dir = mailDir();
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${Date.now()}-${id}.json`);
+  await fs.writeFile(file, JSON.stringify({ id, date: new Date(), ...message }, null, 2));
+  return { id, path: file };
+}
+
+module.exports = {
+  name: "file",
+  send,
+};
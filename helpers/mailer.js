@@ -0,0 +1,63 @@
+/**
+ * Outgoing mail through pluggable transports.
+ *
+ * A transport is an object with:
+ *  - name: string selected with MAIL_TRANSPORT
+ *  - send({ from, to, subject, text, html }) => Promise<{ id }>
+ *
+ * Configured through environment variables:
+ *  - MAIL_TRANSPORT: transport to send with (default "console")
+ *  - MAIL_FROM: sender address (default "E-Shop <no-reply@e-shop.local>")
+ *
+ * The built-in transports deliver nothing: "console" prints messages and
+ * "file" writes them to MAIL_DIR, so mail flows work offline.
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || "E-Shop <no-reply@e-shop.local>";
+
+const transports = {};
+
+/**
+ * Make a mail transport available under its name
+ * @param {Object} transport - Transport implementing the interface above
+ */
+function registerMailTransport(transport) {
+  transports[transport.name] = transport;
+}
+
+/**
+ * Look up a registered mail transport
+ * @param {string} [name] - Transport name, defaults to MAIL_TRANSPORT or "console"
+ * @returns {Object} Transport
+ * @throws {Error} If no transport has that name
+ */
+function getMailTransport(name) {
+  const transportName = name || process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport ${transportName}`);
+  }
+  return transport;
+}
+
+registerMailTransport(require("./mail-transports/console"));
+registerMailTransport(require("./mail-transports/file"));
+
+/**
+ * Send a mail with the configured transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<{id: string}>} Transport's message ID
+ */
+async function sendMail(message) {
+  return getMailTransport().send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  getMailTransport,
+  registerMailTransport,
+  sendMail,
+};
@@ -0,0 +1,214 @@
+const { Media } = require("../models/media");
+const { Product } = require("../models/product");
+const { OrderItem } = require("../models/orderItem");
+const { deleteFile, listFiles } = require("./storage");
+
+/**
+ * Reference counting of uploaded files.
+ *
+ * Every upload gets a Media document. Documents that show an uploaded file
+ * hold a reference to it: a product holds one per distinct key among its image,
+ * images and variant images, an order item one for its image. When the last
+ * reference is released the files are deleted from storage.
+ *
+ * Counts can drift when a request fails halfway; sweepMedia recounts them from
+ * the products and order items and removes files nothing references.
+ *
+ * Configured through environment variables:
+ *  - MEDIA_SWEEP_GRACE_MINUTES: age below which unreferenced uploads are left
+ *    alone by the sweep, so uploads still being saved survive (default 60)
+ */
+
+const MEDIA_SWEEP_GRACE_MINUTES = Number(process.env.MEDIA_SWEEP_GRACE_MINUTES) || 60;
+
+/**
+ * Storage key prefixes of uploads, the only places the sweep deletes files from
+ * @constant {string[]}
+ */
+const MEDIA_FOLDERS = ["products/"];
+
+/**
+ * Record a stored upload, without references yet
+ * @param {{key: string, renditions: Object<string, string>, contentType: string, size: number}} stored
+ *        - Stored image from images.storeImage
+ * @returns {Promise<Object>} Media document
+ */
+async function createMedia(stored) {
+  return new Media({
+    key: stored.key,
+    renditions: stored.renditions,
+    contentType: stored.contentType,
+    size: stored.size,
+  }).save();
+}
+
+/**
+ * Keys a product holds references to
+ * @param {Object} product - Product document
+ * @returns {string[]} Distinct image keys and URLs
+ */
+function productMediaKeys(product) {
+  const keys = [product.image, ...product.images];
+  product.variants.forEach((variant) => keys.push(...variant.images));
+  return [...new Set(keys.filter(Boolean))];
+}
+
+/**
+ * Reference counts to add per key
+ * @param {string[]} keys - Keys, a key listed twice counts twice
+ * @returns {Map<string, number>}
+ */
+function countKeys(keys) {
+  const counts = new Map();
+  keys.filter(Boolean).forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Add references to uploads. Keys that are not uploads (external URLs) are ignored.
+ * @param {string[]} keys - Referenced keys, one reference per entry
+ * @param {import('mongoose').ClientSession} [session] - Transaction session
+ * @returns {Promise<void>}
+ */
+async function retainMedia(keys, session) {
+  const counts = countKeys(keys);
+  if (counts.size === 0) return;
+  await Media.bulkWrite(
+    [...counts].map(([key, count]) => ({
+      updateOne: { filter: { key }, update: { $inc: { refCount: count } } },
+    })),
+    { session }
+  );
+}
+
+/**
+ * Delete an upload's files and its Media document
+ * @param {Object} media - Media document
+ * @returns {Promise<boolean>} Whether the upload was removed; false when it got referenced again
+ */
+async function removeMedia(media) {
+  // Claim the document first so a concurrent release does not delete it twice
+  const { deletedCount } = await Media.deleteOne({ _id: media._id, refCount: { $lte: 0 } });
+  if (deletedCount === 0) return false;
+  for (const key of media.storageKeys()) {
+    try {
+      await deleteFile(key);
+    } catch (err) {
+      // The sweep removes the file later as an orphan
+      console.error(`Could not delete ${key}:`, err);
+    }
+  }
+  return true;
+}
+
+/**
+ * Delete fresh uploads nothing took a reference to, e.g. when the product
+ * that was to show them failed to save
+ * @param {string[]} keys - Storage keys of the uploads
+ * @returns {Promise<void>}
+ */
+async function discardMedia(keys) {
+  const unreferenced = await Media.find({ key: { $in: keys }, refCount: { $lte: 0 } });
+  for (const media of unreferenced) {
+    await removeMedia(media);
+  }
+}
+
+/**
+ * Drop references to uploads and delete those nothing references anymore
+ * @param {string[]} keys - Released keys, one reference per entry
+ * @returns {Promise<void>}
+ */
+async function releaseMedia(keys) {
+  const counts = countKeys(keys);
+  if (counts.size === 0) return;
+  await Media.bulkWrite(
+    [...counts].map(([key, count]) => ({
+      updateOne: { filter: { key }, update: { $inc: { refCount: -count } } },
+    }))
+  );
+  const unreferenced = await Media.find({ key: { $in: [...counts.keys()] }, refCount: { $lte: 0 } });
+  for (const media of unreferenced) {
+    await removeMedia(media);
+  }
+}
+
+/**
+ * Move a product's references after its images changed
+ * @param {string[]} before - productMediaKeys before the change
+ * @param {Object} product - Saved product document
+ * @returns {Promise<void>}
+ */
+async function syncProductMedia(before, product) {
+  const after = productMediaKeys(product);
+  await retainMedia(after.filter((key) => !before.includes(key)));
+  await releaseMedia(before.filter((key) => !after.includes(key)));
+}
+
+/**
+ * Recount the references of every upload, remove the uploads nothing references
+ * and the files in the upload folders that belong to no upload.
+ * Anything younger than MEDIA_SWEEP_GRACE_MINUTES is kept.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @returns {Promise<{dryRun: boolean, recounted: number, removedMedia: string[], removedFiles: string[]}>}
+ *          Number of corrected counts and the keys of removed uploads and orphaned files
+ */
+async function sweepMedia(options = {}) {
+  const dryRun = !!options.dryRun;
+  const cutoff = new Date(Date.now() - MEDIA_SWEEP_GRACE_MINUTES * 60 * 1000);
+  const result = { dryRun, recounted: 0, removedMedia: [], removedFiles: [] };
+
+  const references = new Map();
+  const count = (key) => references.set(key, (references.get(key) || 0) + 1);
+  // Deleted products can be restored, so they keep their references
+  const products = Product.find({}, "image images variants.images").setOptions({ withDeleted: true });
+  for await (const product of products) {
+    productMediaKeys(product).forEach(count);
+  }
+  for await (const orderItem of OrderItem.find({ image: { $nin: ["", null] } }, "image")) {
+    count(orderItem.image);
+  }
+
+  const knownFiles = new Set();
+  for await (const media of Media.find()) {
+    media.storageKeys().forEach((key) => knownFiles.add(key));
+    const actual = references.get(media.key) || 0;
+    if (media.refCount !== actual) {
+      result.recounted += 1;
+      if (!dryRun) {
+        // Skipped when a request changed the count in the meantime
+        await Media.updateOne({ _id: media._id, refCount: media.refCount }, { refCount: actual });
+        media.refCount = actual;
+      }
+    }
+    if (actual === 0 && media.dateCreated < cutoff) {
+      if (dryRun || (await removeMedia(media))) {
+        result.removedMedia.push(media.key);
+      }
+    }
+  }
+
+  for (const folder of MEDIA_FOLDERS) {
+    for (const file of await listFiles(folder)) {
+      if (knownFiles.has(file.key) || references.has(file.key) || file.lastModified >= cutoff) {
+        continue;
+      }
+      if (!dryRun) {
+        await deleteFile(file.key);
+      }
+      result.removedFiles.push(file.key);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  createMedia,
+  discardMedia,
+  productMediaKeys,
+  releaseMedia,
+  retainMedia,
+  sweepMedia,
+  syncProductMedia,
+};
@@ -0,0 +1,427 @@
+const mongoose = require("mongoose");
+const { Order, ORDER_STATUS_TRANSITIONS } = require("../models/order");
+const { OrderItem } = require("../models/orderItem");
+const { Payment } = require("../models/payment");
+const { Product } = require("../models/product");
+const { redeemCoupons, releaseCoupons } = require("./discounts");
+const { priceOrder } = require("./pricing");
+const { retainMedia } = require("./media");
+const { BadRequestError, ConflictError } = require("./errors");
+
+/**
+ * Order placement, status changes and deletion.
+ * All run in a MongoDB transaction so stock and order documents always change
+ * together; transactions need MongoDB running as a replica set.
+ */
+
+/**
+ * Error raised when an order cannot be placed because of its items (400 INVALID_ORDER)
+ */
+class InvalidOrderError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: "INVALID_ORDER" });
+  }
+}
+
+/**
+ * Error raised when a product or variant does not have enough stock for an order
+ * (409 OUT_OF_STOCK)
+ */
+class OutOfStockError extends ConflictError {
+  constructor(product, variant) {
+    super(`Insufficient stock for product ${product}${variant ? ` variant ${variant}` : ""}`, {
+      code: "OUT_OF_STOCK",
+      details: { product, variant },
+    });
+    this.product = product;
+    this.variant = variant;
+  }
+}
+
+/**
+ * Error raised when an order cannot move to the requested status
+ * (409 INVALID_STATUS_TRANSITION)
+ */
+class InvalidStatusTransitionError extends ConflictError {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`, {
+      code: "INVALID_STATUS_TRANSITION",
+      details: { from, to },
+    });
+  }
+}
+
+/**
+ * Error raised when deleting an order that still holds reserved stock or coupon uses
+ * (409 ORDER_NOT_CLOSED)
+ */
+class OrderNotClosedError extends ConflictError {
+  constructor(status) {
+    const deletable = DELETABLE_ORDER_STATUSES.join(" or ");
+    super(`Only ${deletable} orders can be deleted, this one is ${status}`, {
+      code: "ORDER_NOT_CLOSED",
+      details: { status },
+    });
+  }
+}
+
+/**
+ * Statuses of orders that can be deleted: their stock and coupon uses were
+ * given back on cancellation, or are used up for good
+ * @constant {string[]}
+ */
+const DELETABLE_ORDER_STATUSES = ["Cancelled", "Delivered"];
+
+/**
+ * Check the shape of the requested order items
+ * @param {Array<{product: string, variant: string, quantity: number}>} items - Requested order items
+ * @throws {InvalidOrderError} If the list is empty or an item is malformed
+ */
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new InvalidOrderError("orderItems must be a non-empty array");
+  }
+  items.forEach((item) => {
+    if (!item || !mongoose.isValidObjectId(item.product)) {
+      throw new InvalidOrderError("Each order item needs a valid product ID");
+    }
+    if (item.variant != null && !mongoose.isValidObjectId(item.variant)) {
+      throw new InvalidOrderError("variant must be a valid variant ID");
+    }
+    if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+      throw new InvalidOrderError("Each order item needs a positive integer quantity");
+    }
+  });
+}
+
+/**
+ * Check that an order item names a variant exactly when its product has variants
+ * @param {Object} product - Product document
+ * @param {string} [variantId] - Requested variant ID
+ * @returns {Object|null} The variant, or null for products without variants
+ * @throws {InvalidOrderError} If the variant is missing, unexpected or unknown
+ */
+function resolveVariant(product, variantId) {
+  if (product.variants.length === 0) {
+    if (variantId) {
+      throw new InvalidOrderError(`Product ${product.id} has no variants`);
+    }
+    return null;
+  }
+  if (!variantId) {
+    throw new InvalidOrderError(`Product ${product.id} requires a variant`);
+  }
+  const variant = product.findVariant(variantId);
+  if (!variant) {
+    throw new InvalidOrderError(`Variant ${variantId} of product ${product.id} does not exist`);
+  }
+  return variant;
+}
+
+/**
+ * Atomically take stock of a product, or of one of its variants.
+ * A variant's stock and the product's total stock are decremented together.
+ * @param {string} productId - Product ID
+ * @param {string} [variantId] - Variant ID, required for products with variants
+ * @param {number} quantity - Units to reserve
+ * @param {import('mongoose').ClientSession} session - Transaction session
+ * @returns {Promise<{product: Object, variant: Object|null}>} Product document after the
+ *          decrement, with its category name, and the reserved variant
+ * @throws {InvalidOrderError} If the product or variant does not exist
+ * @throws {OutOfStockError} If the product or variant does not have enough stock
+ */
+async function reserveStock(productId, variantId, quantity, session) {
+  const filter = variantId
+    ? {
+        _id: productId,
+        variants: { $elemMatch: { _id: variantId, countInStock: { $gte: quantity } } },
+      }
+    : { _id: productId, countInStock: { $gte: quantity }, "variants.0": { $exists: false } };
+  const update = variantId
+    ? { $inc: { "variants.$.countInStock": -quantity, countInStock: -quantity } }
+    : { $inc: { countInStock: -quantity } };
+  const product = await Product.findOneAndUpdate(filter, update, { new: true, session }).populate(
+    "category",
+    "name"
+  );
+  if (product) {
+    return { product, variant: resolveVariant(product, variantId) };
+  }
+
+  const existing = await Product.findById(productId).session(session);
+  if (!existing) {
+    throw new InvalidOrderError(`Product ${productId} does not exist`);
+  }
+  resolveVariant(existing, variantId);
+  throw new OutOfStockError(productId, variantId);
+}
+
+/**
+ * Build an order item that records the product, and variant, as it is at purchase time.
+ * Variant price, weight and images override the product's when set.
+ * @param {Object} product - Product document with populated category
+ * @param {number} quantity - Ordered units
+ * @param {Object|null} [variant] - Ordered variant
+ * @returns {Object} OrderItem fields
+ */
+function snapshotItem(product, quantity, variant) {
+  const item = {
+    product: product._id,
+    quantity: quantity,
+    unitPrice: product.price,
+    name: product.name,
+    image: product.image,
+    category: product.category ? product.category._id : undefined,
+    categoryName: product.category ? product.category.name : "",
+    weight: product.weight || 0,
+  };
+  if (variant) {
+    item.variant = variant._id;
+    item.sku = variant.sku;
+    item.variantName = product.variantLabel(variant);
+    if (variant.price != null) item.unitPrice = variant.price;
+    if (variant.weight != null) item.weight = variant.weight;
+    if (variant.images.length > 0) item.image = variant.images[0];
+  }
+  return item;
+}
+
+/**
+ * Put the stock of an order's items back
+ * @param {Object} order - Order document
+ * @param {import('mongoose').ClientSession} session - Transaction session
+ * @returns {Promise<void>}
+ */
+async function restockOrder(order, session) {
+  const orderItems = await OrderItem.find({ _id: { $in: order.orderItems } }).session(session);
+  for (const orderItem of orderItems) {
+    if (orderItem.variant) {
+      await Product.updateOne(
+        { _id: orderItem.product, "variants._id": orderItem.variant },
+        { $inc: { "variants.$.countInStock": orderItem.quantity, countInStock: orderItem.quantity } },
+        { session }
+      );
+    } else {
+      await Product.updateOne(
+        { _id: orderItem.product },
+        { $inc: { countInStock: orderItem.quantity } },
+        { session }
+      );
+    }
+  }
+}
+
+/**
+ * Place an order: reserve stock for every item, price the order (discounts,
+ * shipping, tax), create the order items and the order, all or nothing.
+ * New orders always start as Pending.
+ *
+ * @param {Array<{product: string, variant: string, quantity: number}>} items - Requested order items
+ * @param {Object} fields - Remaining Order fields (shipping address incl. country/region, user...)
+ * @param {Object} [options]
+ * @param {string} [options.changedBy] - ID of the user placing the order, recorded in the status history
+ * @param {string|string[]} [options.couponCodes] - Coupon codes to apply
+ * @param {import('mongoose').ClientSession} [options.session] - Run in this transaction instead of a new one
+ * @returns {Promise<Object>} Created order
+ * @throws {InvalidOrderError} If the items are malformed or a product or variant does not exist
+ * @throws {OutOfStockError} If a product or variant does not have enough stock
+ * @throws {InvalidCouponError} If a coupon cannot be applied
+ * @throws {UnshippableAddressError} If the address is outside every shipping zone
+ */
+async function placeOrder(items, fields, options = {}) {
+  validateItems(items);
+
+  const place = async (session) => {
+    const orderItems = [];
+    // Sequential on purpose: operations in one transaction must not run in parallel
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      const { product, variant } = await reserveStock(
+        item.product,
+        item.variant,
+        quantity,
+        session
+      );
+      orderItems.push(snapshotItem(product, quantity, variant));
+    }
+
+    const pricing = await priceOrder(orderItems, fields, {
+      couponCodes: options.couponCodes,
+      user: fields.user,
+      session,
+    });
+    await redeemCoupons(pricing.coupons, session);
+
+    const createdItems = await OrderItem.insertMany(orderItems, { session });
+    // Keep the images the order shows when the products drop them
+    await retainMedia(orderItems.map((item) => item.image), session);
+    const order = new Order({
+      ...fields,
+      ...priceFields(pricing),
+      orderItems: createdItems.map((orderItem) => orderItem._id),
+      status: "Pending",
+      statusHistory: [{ status: "Pending", changedBy: options.changedBy }],
+    });
+    return order.save({ session });
+  };
+  return options.session ? place(options.session) : mongoose.connection.transaction(place);
+}
+
+/**
+ * Price an order without placing it: nothing is reserved or redeemed.
+ * Products must exist and have enough stock, and coupons must be usable,
+ * exactly as when placing the order.
+ *
+ * @param {Array<{product: string, variant: string, quantity: number}>} items - Requested order items
+ * @param {Object} address - { country, region }
+ * @param {Object} [options]
+ * @param {string|string[]} [options.couponCodes] - Coupon codes to apply
+ * @param {string} [options.user] - ID of the user the order would be for
+ * @returns {Promise<Object>} Priced order items and the order price fields
+ * @throws {InvalidOrderError} If the items are malformed or a product or variant does not exist
+ * @throws {OutOfStockError} If a product or variant does not have enough stock
+ */
+async function quoteOrder(items, address, options = {}) {
+  validateItems(items);
+
+  const orderItems = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    const product = await Product.findById(item.product).populate("category", "name");
+    if (!product) {
+      throw new InvalidOrderError(`Product ${item.product} does not exist`);
+    }
+    const variant = resolveVariant(product, item.variant);
+    if ((variant || product).countInStock < quantity) {
+      throw new OutOfStockError(item.product, item.variant);
+    }
+    orderItems.push(snapshotItem(product, quantity, variant));
+  }
+
+  const pricing = await priceOrder(orderItems, address, {
+    couponCodes: options.couponCodes,
+    user: options.user,
+  });
+  return {
+    orderItems: orderItems.map((item) => ({
+      ...item,
+      lineTotal: item.unitPrice * item.quantity,
+    })),
+    ...priceFields(pricing),
+  };
+}
+
+/**
+ * Pick the fields stored on an Order from a price breakdown
+ * @param {Object} pricing - Result of priceOrder
+ * @returns {Object} Order price fields
+ */
+function priceFields(pricing) {
+  return {
+    subtotal: pricing.subtotal,
+    couponCodes: pricing.couponCodes,
+    discounts: pricing.discounts,
+    discountTotal: pricing.discountTotal,
+    freeShipping: pricing.freeShipping,
+    shippingZone: pricing.shippingZone,
+    shippingPrice: pricing.shippingPrice,
+    taxName: pricing.taxName,
+    taxRate: pricing.taxRate,
+    taxPrice: pricing.taxPrice,
+    totalPrice: pricing.totalPrice,
+  };
+}
+
+/**
+ * Move an order to a new status along ORDER_STATUS_TRANSITIONS and record the
+ * change in its history. Cancelling puts the reserved stock and coupon uses back
+ * and cancels pending payment intents; callers refund succeeded payments with
+ * helpers/payments.js refundOrderPayments once the cancellation has committed.
+ *
+ * @param {string} orderId - Order ID
+ * @param {string} status - Target status
+ * @param {Object} [options]
+ * @param {string} [options.changedBy] - ID of the user making the change
+ * @param {string} [options.note] - Note stored with the history entry
+ * @param {import('mongoose').ClientSession} [options.session] - Run in this transaction instead of a new one
+ * @returns {Promise<Object|null>} Updated order, or null if it does not exist
+ * @throws {InvalidOrderError} If the status is unknown
+ * @throws {InvalidStatusTransitionError} If the transition is not allowed
+ */
+async function changeOrderStatus(orderId, status, options = {}) {
+  if (!Object.keys(ORDER_STATUS_TRANSITIONS).includes(status)) {
+    throw new InvalidOrderError(
+      `status must be one of ${Object.keys(ORDER_STATUS_TRANSITIONS).join(", ")}`
+    );
+  }
+
+  const change = async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      return null;
+    }
+    if (!order.canTransitionTo(status)) {
+      throw new InvalidStatusTransitionError(order.status, status);
+    }
+    if (status === "Cancelled") {
+      await restockOrder(order, session);
+      await releaseCoupons(order, session);
+      // A payment still completing afterwards is refunded by its webhook
+      await Payment.updateMany(
+        { order: order._id, status: "pending" },
+        { status: "cancelled", dateUpdated: new Date() },
+        { session }
+      );
+    }
+    order.status = status;
+    order.statusHistory.push({
+      status: status,
+      changedBy: options.changedBy,
+      note: options.note,
+    });
+    return order.save({ session });
+  };
+  return options.session ? change(options.session) : mongoose.connection.transaction(change);
+}
+
+/**
+ * Delete a Cancelled or Delivered order together with its order items.
+ * Open orders are refused: deleting them would keep their stock and coupon uses reserved.
+ * The caller releases the order items' images once the deletion has committed.
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} [options]
+ * @param {import('mongoose').ClientSession} [options.session] - Run in this transaction instead of a new one
+ * @returns {Promise<{order: Object, orderItems: Object[]}|null>} Deleted order and order items,
+ *          or null if the order does not exist
+ * @throws {OrderNotClosedError} If the order is not Cancelled or Delivered
+ */
+async function deleteOrder(orderId, options = {}) {
+  const remove = async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      return null;
+    }
+    if (!DELETABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new OrderNotClosedError(order.status);
+    }
+    const orderItems = await OrderItem.find({ _id: { $in: order.orderItems } }).session(session);
+    await OrderItem.deleteMany({ _id: { $in: order.orderItems } }, { session });
+    await Order.deleteOne({ _id: order._id }, { session });
+    return { order, orderItems };
+  };
+  return options.session ? remove(options.session) : mongoose.connection.transaction(remove);
+}
+
+module.exports = {
+  DELETABLE_ORDER_STATUSES,
+  InvalidOrderError,
+  InvalidStatusTransitionError,
+  OrderNotClosedError,
+  OutOfStockError,
+  placeOrder,
+  quoteOrder,
+  changeOrderStatus,
+  deleteOrder,
+  restockOrder,
+};
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+/**
+ * Built-in payment provider that talks to no one.
+ * Intents and refunds are created locally; payment results arrive through the
+ * same signed webhook a real provider would call, built with createWebhookEvent.
+ * Lets the whole payment flow run offline, in development and in tests.
+ *
+ * Webhooks are signed with MOCK_PAYMENT_WEBHOOK_SECRET (HMAC-SHA256 of the raw
+ * body, hex, in the X-Mock-Signature header). Without the secret every webhook
+ * is rejected, so the mock cannot be used to mark orders paid by accident.
+ */
+
+const SIGNATURE_HEADER = "x-mock-signature";
+
+/**
+ * Sign a raw webhook body
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function sign(body) {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error("MOCK_PAYMENT_WEBHOOK_SECRET is not set");
+  }
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * Create a payment intent
+ * @param {Object} intent - { amount, currency, orderId }
+ * @returns {Promise<{reference: string, clientSecret: string}>}
+ */
+async function createIntent(intent) {
+  const reference = `mock_pi_${crypto.randomUUID()}`;
+  return {
+    reference,
+    clientSecret: `${reference}_secret_${crypto.randomBytes(12).toString("hex")}`,
+  };
+}
+
+/**
+ * Refund (part of) a payment. The mock confirms refunds immediately.
+ * @param {Object} refund - { reference, amount, currency }
+ * @returns {Promise<{reference: string, status: string}>}
+ */
+async function refund(refund) {
+  return { reference: `mock_re_${crypto.randomUUID()}`, status: "succeeded" };
+}
+
+/**
+ * Check a webhook's signature and translate it into a payment event
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {{id: string, type: string, reference: string, refundReference?: string, failureReason?: string}}
+ * @throws {Error} If the signature is missing or wrong, or the body is malformed
+ */
+function verifyWebhook(rawBody, headers) {
+  const signature = String(headers[SIGNATURE_HEADER] || "");
+  const expected = sign(rawBody || "");
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new Error("Invalid webhook signature");
+  }
+
+  const event = JSON.parse(rawBody.toString("utf8"));
+  return {
+    id: event.id,
+    type: event.type,
+    reference: event.data.reference,
+    refundReference: event.data.refundReference,
+    failureReason: event.data.failureReason,
+  };
+}
+
+/**
+ * Build a signed webhook request, as the provider would send it
+ * @param {string} type - payment.succeeded, payment.failed, refund.succeeded or refund.failed
+ * @param {Object} data - { reference, refundReference, failureReason }
+ * @returns {{body: string, headers: Object}} Body to POST and headers to send with it
+ *
+ * @example
+ * const { body, headers } = mock.createWebhookEvent("payment.succeeded", { reference });
+ * await fetch(`${baseUrl}/api/v1/payments/webhooks/mock`, { method: "POST", headers, body });
+ */
+function createWebhookEvent(type, data) {
+  const body = JSON.stringify({ id: `mock_evt_${crypto.randomUUID()}`, type, data });
+  return {
+    body,
+    headers: { "Content-Type": "application/json", "X-Mock-Signature": sign(body) },
+  };
+}
+
+module.exports = {
+  name: "mock",
+  createIntent,
+  refund,
+  verifyWebhook,
+  createWebhookEvent,
+};
@@ -0,0 +1,291 @@
+const mongoose = require("mongoose");
+const { Order } = require("../models/order");
+const { Payment } = require("../models/payment");
+const { changeOrderStatus } = require("./order-placement");
+const { roundMoney } = require("./discounts");
+const { BadRequestError, ConflictError } = require("./errors");
+
+/**
+ * Order payments through pluggable payment providers.
+ *
+ * A provider is an object with:
+ *  - name: string used in URLs and stored on payments
+ *  - createIntent({ amount, currency, orderId }) => Promise<{ reference, clientSecret }>
+ *  - refund({ reference, amount, currency }) => Promise<{ reference, status }>
+ *      status is "succeeded", or "pending" when a refund.* webhook confirms it later
+ *  - verifyWebhook(rawBody, headers) => { id, type, reference, refundReference, failureReason }
+ *      throws when the signature does not check out; type is one of
+ *      payment.succeeded, payment.failed, refund.succeeded, refund.failed
+ *
+ * Payment results only ever come from verified webhooks, never from clients.
+ */
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "usd";
+
+/**
+ * Error raised for payment requests that cannot be processed (400 INVALID_PAYMENT)
+ */
+class InvalidPaymentError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: "INVALID_PAYMENT" });
+  }
+}
+
+/**
+ * Error raised when an order or payment is not in a state that allows the operation
+ * (409 PAYMENT_CONFLICT)
+ */
+class PaymentConflictError extends ConflictError {
+  constructor(message) {
+    super(message, { code: "PAYMENT_CONFLICT" });
+  }
+}
+
+const providers = {};
+
+/**
+ * Make a payment provider available under its name
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerPaymentProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+/**
+ * Look up a registered payment provider
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER or "mock"
+ * @returns {Object} Provider
+ * @throws {InvalidPaymentError} If no provider has that name
+ */
+function getPaymentProvider(name) {
+  const providerName = name || process.env.PAYMENT_PROVIDER || "mock";
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new InvalidPaymentError(`Unknown payment provider ${providerName}`);
+  }
+  return provider;
+}
+
+registerPaymentProvider(require("./payment-providers/mock"));
+
+/**
+ * Start paying an order: create a payment intent with the provider.
+ * Earlier pending intents of the order are superseded.
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name
+ * @returns {Promise<{payment: Object, clientSecret: string}|null>} Payment and the secret
+ *          the client completes the payment with, or null if the order does not exist
+ * @throws {PaymentConflictError} If the order is not Pending
+ */
+async function createPayment(orderId, options = {}) {
+  const provider = getPaymentProvider(options.provider);
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return null;
+  }
+  if (order.status !== "Pending") {
+    throw new PaymentConflictError(`Order is ${order.status} and cannot be paid`);
+  }
+
+  const intent = await provider.createIntent({
+    amount: order.totalPrice,
+    currency: PAYMENT_CURRENCY,
+    orderId: order.id,
+  });
+  await Payment.updateMany(
+    { order: order._id, status: "pending" },
+    { status: "cancelled", dateUpdated: new Date() }
+  );
+  const payment = await new Payment({
+    order: order._id,
+    user: order.user,
+    provider: provider.name,
+    reference: intent.reference,
+    amount: order.totalPrice,
+    currency: PAYMENT_CURRENCY,
+  }).save();
+
+  return { payment, clientSecret: intent.clientSecret };
+}
+
+/**
+ * Amount of a payment that can still be refunded
+ * @param {Object} payment - Payment document
+ * @returns {number}
+ */
+function refundableAmount(payment) {
+  const refunded = payment.refunds
+    .filter((refund) => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return roundMoney(payment.amount - refunded);
+}
+
+/**
+ * Mark a refund succeeded and update the payment's refunded total and status
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - Refund subdocument of the payment
+ */
+function applyRefund(payment, refund) {
+  refund.status = "succeeded";
+  payment.amountRefunded = roundMoney(payment.amountRefunded + refund.amount);
+  payment.status = payment.amountRefunded >= payment.amount ? "refunded" : "partially_refunded";
+  if (payment.status === "refunded") {
+    payment.refundRequired = false;
+  }
+}
+
+/**
+ * Refund (part of) a succeeded payment.
+ * The amount is reserved on the payment before the provider is called, so
+ * concurrent refunds can never give back more than was paid.
+ * Refunds do not change the order's status.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Amount to refund, defaults to everything refundable
+ * @param {string} [options.reason] - Reason stored with the refund
+ * @param {string} [options.requestedBy] - ID of the user requesting the refund
+ * @returns {Promise<Object>} Updated payment
+ * @throws {PaymentConflictError} If the payment has not succeeded
+ * @throws {InvalidPaymentError} If the amount is not refundable
+ */
+async function refundPayment(payment, options = {}) {
+  if (!["succeeded", "partially_refunded"].includes(payment.status)) {
+    throw new PaymentConflictError(`A ${payment.status} payment cannot be refunded`);
+  }
+  const refundable = refundableAmount(payment);
+  const amount = options.amount === undefined ? refundable : roundMoney(Number(options.amount));
+  if (!(amount > 0) || amount > refundable) {
+    throw new InvalidPaymentError(`Refund amount must be between 0 and ${refundable}`);
+  }
+
+  payment.refunds.push({
+    amount,
+    reason: options.reason,
+    requestedBy: options.requestedBy,
+  });
+  await payment.save();
+  const refund = payment.refunds[payment.refunds.length - 1];
+
+  try {
+    const result = await getPaymentProvider(payment.provider).refund({
+      reference: payment.reference,
+      amount,
+      currency: payment.currency,
+    });
+    refund.reference = result.reference;
+    if (result.status === "succeeded") {
+      applyRefund(payment, refund);
+    }
+  } catch (err) {
+    refund.status = "failed";
+    await payment.save();
+    throw err;
+  }
+  return payment.save();
+}
+
+/**
+ * Refund everything still refundable of an order's succeeded payments, e.g.
+ * after the order was cancelled. Payments are refunded one after the other; if
+ * one fails, the error is thrown and the remaining ones can be refunded later.
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} [options] - refundPayment options (reason, requestedBy)
+ * @returns {Promise<Array<{before: Object, payment: Object}>>} Each refunded payment, with
+ *          a plain copy of it from before the refund
+ */
+async function refundOrderPayments(orderId, options = {}) {
+  const payments = await Payment.find({
+    order: orderId,
+    status: { $in: ["succeeded", "partially_refunded"] },
+  });
+  const refunded = [];
+  for (const payment of payments) {
+    const before = payment.toObject();
+    refunded.push({ before, payment: await refundPayment(payment, options) });
+  }
+  return refunded;
+}
+
+/**
+ * Apply a payment provider's webhook.
+ * A succeeded payment moves its order from Pending to Paid in the same
+ * transaction. If the order was cancelled or paid by another payment in the
+ * meantime, the transaction marks the payment refundRequired and the money is
+ * refunded once it has committed. Events are applied once only, but every
+ * webhook about a payment still marked refundRequired retries its refund, so a
+ * failed refund is retried when the provider retries the webhook.
+ *
+ * @param {string} providerName - Provider the webhook was sent to
+ * @param {Buffer} rawBody - Raw request body, as signed by the provider
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object|null>} Updated payment, or null if the event is not about a known payment
+ * @throws {InvalidPaymentError} If the signature or body is invalid
+ */
+async function handleWebhook(providerName, rawBody, headers) {
+  const provider = getPaymentProvider(providerName);
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (err) {
+    throw new InvalidPaymentError(`Invalid webhook: ${err.message}`);
+  }
+
+  const payment = await mongoose.connection.transaction(async (session) => {
+    const payment = await Payment.findOne({ provider: provider.name, reference: event.reference })
+      .select("+processedEvents")
+      .session(session);
+    if (!payment || payment.processedEvents.includes(event.id)) {
+      return payment;
+    }
+
+    if (event.type === "payment.succeeded" && ["pending", "failed", "cancelled"].includes(payment.status)) {
+      payment.status = "succeeded";
+      payment.failureReason = undefined;
+      const order = await Order.findById(payment.order).session(session);
+      if (order && order.status === "Pending") {
+        await changeOrderStatus(order._id, "Paid", {
+          note: `Payment ${payment.reference} succeeded`,
+          session,
+        });
+      } else {
+        payment.refundRequired = true;
+      }
+    } else if (event.type === "payment.failed" && payment.status === "pending") {
+      payment.status = "failed";
+      payment.failureReason = event.failureReason;
+    } else if (event.type === "refund.succeeded" || event.type === "refund.failed") {
+      const refund = payment.refunds.find((candidate) => candidate.reference === event.refundReference);
+      if (refund && refund.status === "pending") {
+        if (event.type === "refund.succeeded") {
+          applyRefund(payment, refund);
+        } else {
+          refund.status = "failed";
+        }
+      }
+    }
+
+    payment.processedEvents.push(event.id);
+    return payment.save({ session });
+  });
+
+  // A pending refund may still succeed, only refund what nothing is underway for
+  if (payment && payment.refundRequired && refundableAmount(payment) > 0) {
+    return refundPayment(payment, { reason: "Order could no longer be paid" });
+  }
+  return payment;
+}
+
+module.exports = {
+  InvalidPaymentError,
+  PaymentConflictError,
+  createPayment,
+  getPaymentProvider,
+  handleWebhook,
+  refundOrderPayments,
+  refundPayment,
+  registerPaymentProvider,
+};
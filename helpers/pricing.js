@@ -0,0 +1,148 @@
+const { ShippingZone } = require("../models/shippingZone");
+const { TaxRule } = require("../models/taxRule");
+const { computeDiscounts, loadCoupons, normalizeCodes, roundMoney } = require("./discounts");
+const { BadRequestError } = require("./errors");
+
+/**
+ * Order price breakdown: subtotal, coupon discounts, shipping and tax.
+ * Used both to quote an order and to place it, so both always agree.
+ */
+
+/**
+ * Error raised when an order cannot be shipped to its address (400 UNSHIPPABLE_ADDRESS)
+ */
+class UnshippableAddressError extends BadRequestError {
+  constructor(country) {
+    super(`Shipping to ${country} is not available`, {
+      code: "UNSHIPPABLE_ADDRESS",
+      details: { country },
+    });
+  }
+}
+
+/**
+ * Normalize a country or region for matching against zones and tax rules
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizePlace(value) {
+  return value ? String(value).trim().toUpperCase() : "";
+}
+
+/**
+ * Find the shipping zone for a country: the zone listing it, otherwise the
+ * fallback zone without countries.
+ * @param {string} country - Destination country
+ * @param {import('mongoose').ClientSession} [session] - Transaction session
+ * @returns {Promise<Object|null>} Zone, or null when no zones are configured
+ * @throws {UnshippableAddressError} If zones exist but none covers the country
+ */
+async function findShippingZone(country, session) {
+  const zones = await ShippingZone.find({ isActive: true }).session(session);
+  if (zones.length === 0) {
+    return null;
+  }
+  const place = normalizePlace(country);
+  const zone =
+    zones.find((candidate) => candidate.countries.includes(place)) ||
+    zones.find((candidate) => candidate.countries.length === 0);
+  if (!zone) {
+    throw new UnshippableAddressError(country);
+  }
+  return zone;
+}
+
+/**
+ * Shipping cost of an order in a zone
+ * @param {Object|null} zone - Shipping zone
+ * @param {Object} order
+ * @param {number} order.weight - Total weight in kilograms
+ * @param {number} order.discountedSubtotal - Subtotal after discounts
+ * @param {boolean} order.freeShipping - Whether a coupon waives shipping
+ * @returns {number}
+ */
+function shippingCost(zone, order) {
+  if (!zone || order.freeShipping) return 0;
+  if (zone.freeOver != null && order.discountedSubtotal >= zone.freeOver) return 0;
+  if (zone.rateType === "weight") {
+    return roundMoney(zone.baseRate + zone.perKgRate * order.weight);
+  }
+  return roundMoney(zone.flatRate);
+}
+
+/**
+ * Find the tax rule for an address: the rule for its region, otherwise the
+ * rule for the whole country.
+ * @param {string} country - Destination country
+ * @param {string} [region] - Destination region/state
+ * @param {import('mongoose').ClientSession} [session] - Transaction session
+ * @returns {Promise<Object|null>} Tax rule, or null if the address is not taxed
+ */
+async function findTaxRule(country, region, session) {
+  const rules = await TaxRule.find({
+    isActive: true,
+    country: normalizePlace(country),
+    region: { $in: [normalizePlace(region), ""] },
+  }).session(session);
+  return rules.find((rule) => rule.region !== "") || rules[0] || null;
+}
+
+/**
+ * Compute the full price breakdown of an order
+ *
+ * @param {Array<Object>} lines - Order lines: { product, category, unitPrice, quantity, weight }
+ * @param {Object} address - { country, region }
+ * @param {Object} [options]
+ * @param {string|string[]} [options.couponCodes] - Coupon codes to apply
+ * @param {string} [options.user] - ID of the user the order is for, for per-user coupon limits
+ * @param {import('mongoose').ClientSession} [options.session] - Transaction session
+ * @returns {Promise<Object>} { subtotal, coupons, couponCodes, discounts, discountTotal,
+ *          freeShipping, shippingZone, shippingPrice, taxName, taxRate, taxPrice, totalPrice }
+ * @throws {InvalidCouponError} If a coupon cannot be applied
+ * @throws {UnshippableAddressError} If the address is outside every shipping zone
+ */
+async function priceOrder(lines, address, options = {}) {
+  const subtotal = roundMoney(
+    lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)
+  );
+
+  const coupons = await loadCoupons(
+    normalizeCodes(options.couponCodes),
+    { user: options.user, subtotal },
+    options.session
+  );
+  const { discounts, discountTotal, freeShipping } = computeDiscounts(coupons, lines);
+  const discountedSubtotal = roundMoney(subtotal - discountTotal);
+
+  const zone = await findShippingZone(address.country, options.session);
+  const shippingPrice = shippingCost(zone, {
+    weight: lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0),
+    discountedSubtotal,
+    freeShipping,
+  });
+
+  const taxRule = await findTaxRule(address.country, address.region, options.session);
+  const taxRate = taxRule ? taxRule.rate : 0;
+  const taxable = discountedSubtotal + (taxRule && taxRule.appliesToShipping ? shippingPrice : 0);
+  const taxPrice = roundMoney((taxable * taxRate) / 100);
+
+  return {
+    subtotal,
+    coupons,
+    couponCodes: coupons.map((coupon) => coupon.code),
+    discounts,
+    discountTotal,
+    freeShipping,
+    shippingZone: zone ? zone.name : "",
+    shippingPrice,
+    taxName: taxRule ? taxRule.name : "",
+    taxRate,
+    taxPrice,
+    totalPrice: roundMoney(discountedSubtotal + shippingPrice + taxPrice),
+  };
+}
+
+module.exports = {
+  UnshippableAddressError,
+  priceOrder,
+};
@@ -0,0 +1,75 @@
+/**
+ * Rate limit store keeping counters in process memory.
+ * The default store: needs no setup, but every process counts on its own and
+ * counters are lost on restart, so deployments with several processes should
+ * register a shared store (e.g. Redis) instead.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/** @type {Map<string, {count: number, resetAt: number}>} */
+const counters = new Map();
+
+/**
+ * Counter of a key, null when it has none or its window has passed
+ * @param {string} key - Counter key
+ * @param {number} now - Current time in milliseconds
+ * @returns {{count: number, resetAt: number}|null}
+ */
+function liveCounter(key, now) {
+  const counter = counters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    return null;
+  }
+  return counter;
+}
+
+/**
+ * Count a hit; the first hit of a key starts its window
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<{count: number, resetAt: number}>} Hits in the window and when it ends
+ */
+async function increment(key, windowMs) {
+  const now = Date.now();
+  const counter = liveCounter(key, now) || { count: 0, resetAt: now + windowMs };
+  counter.count += 1;
+  counters.set(key, counter);
+  return { ...counter };
+}
+
+/**
+ * Read a counter without counting a hit
+ * @param {string} key - Counter key
+ * @returns {Promise<{count: number, resetAt: number}|null>}
+ */
+async function get(key) {
+  const counter = liveCounter(key, Date.now());
+  return counter ? { ...counter } : null;
+}
+
+/**
+ * Forget a counter
+ * @param {string} key - Counter key
+ * @returns {Promise<void>}
+ */
+async function reset(key) {
+  counters.delete(key);
+}
+
+// Drop expired counters so the map does not grow with every client seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) {
+      counters.delete(key);
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  name: "memory",
+  increment,
+  get,
+  reset,
+};
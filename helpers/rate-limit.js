@@ -0,0 +1,202 @@
+const { normalizeEmail } = require("../models/user");
+const { TooManyRequestsError } = require("./errors");
+
+/**
+ * Request rate limiting and login lockout on pluggable counter stores.
+ *
+ * A store is an object with:
+ *  - name: string selected with RATE_LIMIT_STORE
+ *  - increment(key, windowMs) => Promise<{ count, resetAt }>
+ *      counts a hit; the first hit of a key starts a window of windowMs,
+ *      resetAt is when it ends (milliseconds since the epoch)
+ *  - get(key) => Promise<{ count, resetAt } | null>
+ *  - reset(key) => Promise<void>
+ *
+ * Limits are set per route group, each counted separately per client IP.
+ * A group's default can be overridden with RATE_LIMIT_<GROUP>, e.g.
+ * RATE_LIMIT_AUTH=10/15m allows 10 requests per 15 minutes ("s", "m" or "h");
+ * "off" disables the group.
+ *
+ * Configured through environment variables:
+ *  - RATE_LIMIT_STORE: store to count in (default "memory")
+ *  - LOGIN_MAX_FAILURES: failed logins before an account is locked (default 5)
+ *  - LOGIN_LOCKOUT_MINUTES: how long failures are counted and the lock lasts (default 15)
+ */
+
+/**
+ * Default limits of each route group
+ * @constant {Object<string, string>}
+ */
+const RATE_LIMIT_DEFAULTS = {
+  // Every API route
+  api: "300/15m",
+  // Login, registration and token refresh
+  auth: "20/15m",
+  // Routes that send mail
+  mail: "5/1h",
+  // Payment provider webhooks, which skip the api group
+  webhooks: "600/15m",
+};
+
+/**
+ * Login lockout settings, read on every call so .env values loaded later still apply
+ * @returns {{maxFailures: number, lockoutMs: number}}
+ */
+function loginLockoutSettings() {
+  return {
+    maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  };
+}
+
+const WINDOW_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const stores = {};
+
+/**
+ * Make a rate limit store available under its name
+ * @param {Object} store - Store implementing the interface above
+ */
+function registerRateLimitStore(store) {
+  stores[store.name] = store;
+}
+
+/**
+ * Look up a registered rate limit store
+ * @param {string} [name] - Store name, defaults to RATE_LIMIT_STORE or "memory"
+ * @returns {Object} Store
+ * @throws {Error} If no store has that name
+ */
+function getRateLimitStore(name) {
+  const storeName = name || process.env.RATE_LIMIT_STORE || "memory";
+  const store = stores[storeName];
+  if (!store) {
+    throw new Error(`Unknown rate limit store ${storeName}`);
+  }
+  return store;
+}
+
+registerRateLimitStore(require("./rate-limit-stores/memory"));
+
+/**
+ * Limit of a route group
+ * @param {string} group - Group name
+ * @returns {{max: number, windowMs: number}|null} Limit, null when the group is disabled
+ * @throws {Error} If the group is unknown or its configured limit cannot be parsed
+ */
+function groupLimit(group) {
+  const setting = process.env[`RATE_LIMIT_${group.toUpperCase()}`] || RATE_LIMIT_DEFAULTS[group];
+  if (!setting) {
+    throw new Error(`Unknown rate limit group ${group}`);
+  }
+  if (setting === "off") {
+    return null;
+  }
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(setting);
+  if (!match) {
+    throw new Error(`Invalid rate limit for ${group}: ${setting}, expected e.g. 100/15m`);
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2]) * WINDOW_UNITS_MS[match[3]] };
+}
+
+/**
+ * Seconds until a window ends, at least 1
+ * @param {number} resetAt - End of the window in milliseconds
+ * @returns {number}
+ */
+function secondsUntil(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+/**
+ * Express middleware factory limiting how often a client may call a group of routes.
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * headers; requests over the limit fail with 429 RATE_LIMITED and Retry-After.
+ *
+ * @param {string} group - Route group, see RATE_LIMIT_DEFAULTS
+ * @param {Object} [options]
+ * @param {Function} [options.skip] - (req) => true for requests the group does not count
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.post("/login", rateLimit("auth"), handler);
+ */
+function rateLimit(group, options = {}) {
+  const limit = groupLimit(group);
+  return async (req, res, next) => {
+    if (!limit || (options.skip && options.skip(req))) {
+      return next();
+    }
+    const { count, resetAt } = await getRateLimitStore().increment(
+      `${group}:${req.ip}`,
+      limit.windowMs
+    );
+    res.set({
+      "RateLimit-Limit": String(limit.max),
+      "RateLimit-Remaining": String(Math.max(0, limit.max - count)),
+      "RateLimit-Reset": String(secondsUntil(resetAt)),
+    });
+    if (count > limit.max) {
+      throw new TooManyRequestsError("Too many requests, please try again later", {
+        retryAfter: secondsUntil(resetAt),
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Store key counting the failed logins of an account
+ * @param {string} email - Login email
+ * @returns {string}
+ */
+function loginFailuresKey(email) {
+  return `login-failures:${normalizeEmail(email)}`;
+}
+
+/**
+ * Fail while an account is locked after too many failed logins.
+ * Addresses without an account are counted and locked the same way, so the
+ * lock does not tell callers which addresses have accounts.
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ * @throws {TooManyRequestsError} While the account is locked (429 ACCOUNT_LOCKED)
+ */
+async function assertLoginAllowed(email) {
+  const failures = await getRateLimitStore().get(loginFailuresKey(email));
+  if (failures && failures.count >= loginLockoutSettings().maxFailures) {
+    throw new TooManyRequestsError("Too many failed logins, please try again later", {
+      code: "ACCOUNT_LOCKED",
+      retryAfter: secondsUntil(failures.resetAt),
+    });
+  }
+}
+
+/**
+ * Count a failed login. LOGIN_MAX_FAILURES failures within LOGIN_LOCKOUT_MINUTES
+ * of the first one lock the account until that period ends.
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ */
+async function recordLoginFailure(email) {
+  await getRateLimitStore().increment(loginFailuresKey(email), loginLockoutSettings().lockoutMs);
+}
+
+/**
+ * Forget the failed logins of an account, after a successful login or a password reset
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(email) {
+  await getRateLimitStore().reset(loginFailuresKey(email));
+}
+
+module.exports = {
+  RATE_LIMIT_DEFAULTS,
+  assertLoginAllowed,
+  clearLoginFailures,
+  getRateLimitStore,
+  rateLimit,
+  recordLoginFailure,
+  registerRateLimitStore,
+};
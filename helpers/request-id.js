@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+
+/**
+ * Request IDs accepted from the X-Request-Id header, anything else is replaced
+ * @constant {RegExp}
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware factory giving every request an ID.
+ * The ID is taken from the X-Request-Id header when a proxy set one, generated
+ * otherwise, stored as req.id and echoed in the X-Request-Id response header.
+ * Error responses carry it so a client report can be matched with the logs.
+ * @returns {Function} Express middleware
+ */
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    next();
+  };
+}
+
+module.exports = requestId;
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const { Order } = require("../models/order");
+const { OrderItem } = require("../models/orderItem");
+const { Product } = require("../models/product");
+const { Review } = require("../models/review");
+
+/**
+ * Review rules: who may review a product, and the product's computed rating.
+ */
+
+/**
+ * Order statuses that count as a purchase. Pending orders are not paid yet,
+ * cancelled ones were never completed.
+ * @constant {string[]}
+ */
+const PURCHASED_STATUSES = ["Paid", "Shipped", "Delivered"];
+
+/**
+ * Check whether a user bought a product
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>}
+ */
+async function hasPurchased(userId, productId) {
+  const orders = await Order.find({ user: userId, status: { $in: PURCHASED_STATUSES } }).select(
+    "orderItems"
+  );
+  const orderItemIds = orders.flatMap((order) => order.orderItems);
+  if (orderItemIds.length === 0) return false;
+  return !!(await OrderItem.exists({ _id: { $in: orderItemIds }, product: productId }));
+}
+
+/**
+ * Recompute a product's rating and numReviews from its published reviews.
+ * Called after every review change; the rating is rounded to one decimal.
+ * @param {string} productId - Product ID
+ * @returns {Promise<{rating: number, numReviews: number}>}
+ */
+async function refreshProductRating(productId) {
+  const [stats] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: "published" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const numReviews = stats ? stats.count : 0;
+  await Product.updateOne({ _id: productId }, { rating, numReviews });
+  return { rating, numReviews };
+}
+
+module.exports = {
+  PURCHASED_STATUSES,
+  hasPurchased,
+  refreshProductRating,
+};
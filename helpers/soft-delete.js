@@ -0,0 +1,77 @@
+/**
+ * Soft delete for Mongoose models.
+ *
+ * Deleting a document only stamps it with `deletedAt`: orders and reviews keep
+ * pointing at an existing document, and an admin can restore it. Reads hide
+ * deleted documents unless the filter mentions deletedAt itself or the query
+ * sets the `withDeleted` option:
+ *
+ *   Product.findById(id).setOptions({ withDeleted: true })
+ *   Order.find().populate({ path: "user", select: "name", options: { withDeleted: true } })
+ *
+ * Hidden from find, findOne, countDocuments, distinct, findOneAndUpdate and
+ * aggregate (through the first $match stage). updateOne and updateMany still
+ * reach deleted documents, so stock and category moves stay correct for
+ * documents that are restored later.
+ */
+
+/**
+ * Query middleware adding `deletedAt: null` to the filter
+ */
+function hideDeleted() {
+  if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) {
+    return;
+  }
+  this.where({ deletedAt: null });
+}
+
+/**
+ * Aggregate middleware hiding deleted documents in the first $match stage,
+ * which keeps $text matches first in the pipeline
+ */
+function hideDeletedFromAggregate() {
+  const pipeline = this.pipeline();
+  const first = pipeline[0] && pipeline[0].$match;
+  if (!first) {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  } else if (!("deletedAt" in first)) {
+    first.deletedAt = null;
+  }
+}
+
+/**
+ * Mongoose schema plugin adding `deletedAt` and the softDelete and restore methods
+ * @param {import('mongoose').Schema} schema - Schema of the model
+ *
+ * @example
+ * productSchema.plugin(softDelete);
+ * await product.softDelete();
+ */
+function softDelete(schema) {
+  schema.add({ deletedAt: { type: Date, default: null } });
+
+  schema.pre(["countDocuments", "distinct", "find", "findOne", "findOneAndUpdate"], hideDeleted);
+  schema.pre("aggregate", hideDeletedFromAggregate);
+
+  /**
+   * Mark the document deleted
+   * @param {Object} [options] - Save options, e.g. a transaction session
+   * @returns {Promise<Object>} Saved document
+   */
+  schema.methods.softDelete = function (options = {}) {
+    this.deletedAt = new Date();
+    return this.save({ ...options, validateModifiedOnly: true });
+  };
+
+  /**
+   * Bring a deleted document back
+   * @param {Object} [options] - Save options, e.g. a transaction session
+   * @returns {Promise<Object>} Saved document
+   */
+  schema.methods.restore = function (options = {}) {
+    this.deletedAt = null;
+    return this.save({ ...options, validateModifiedOnly: true });
+  };
+}
+
+module.exports = { softDelete };
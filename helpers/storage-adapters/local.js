@@ -0,0 +1,101 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Storage adapter keeping files on the local disk, served by app.js under
+ * /public/uploads. The default adapter; directories are created as needed.
+ *
+ * Configured through environment variables:
+ *  - STORAGE_LOCAL_DIR: directory the files go to (default ./public/uploads)
+ *  - STORAGE_LOCAL_BASE_URL: URL the API is reached at, the files are served
+ *    under <base>/public/uploads (default "http://localhost:3000")
+ */
+
+/**
+ * Directory the files are stored in
+ * @returns {string}
+ */
+function rootDir() {
+  const dir = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "..", "public", "uploads");
+  return path.resolve(dir);
+}
+
+/**
+ * Path of a stored file
+ * @param {string} key - Storage key
+ * @returns {string}
+ * @throws {Error} If the key points outside the storage directory
+ */
+function filePath(key) {
+  const root = rootDir();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+  return file;
+}
+
+/**
+ * Write a file
+ * @param {string} key - Storage key
+ * @param {Buffer} data - File contents
+ * @returns {Promise<void>}
+ */
+async function put(key, data) {
+  const file = filePath(key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, data);
+}
+
+/**
+ * Remove a file, if it exists
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+  await fs.rm(filePath(key), { force: true });
+}
+
+/**
+ * List the files under a prefix
+ * @param {string} prefix - Key prefix, e.g. "products/"
+ * @returns {Promise<Array<{key: string, lastModified: Date}>>}
+ */
+async function list(prefix) {
+  const root = rootDir();
+  let names;
+  try {
+    names = await fs.readdir(path.join(root, prefix), { recursive: true });
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const files = [];
+  for (const name of names) {
+    const file = path.join(root, prefix, name);
+    const stats = await fs.stat(file);
+    if (stats.isFile()) {
+      const key = path.relative(root, file).split(path.sep).join("/");
+      files.push({ key, lastModified: stats.mtime });
+    }
+  }
+  return files;
+}
+
+/**
+ * Base URL of the files as served by app.js
+ * @returns {string}
+ */
+function publicUrl() {
+  const base = (process.env.STORAGE_LOCAL_BASE_URL || "http://localhost:3000").replace(/\/+$/, "");
+  return `${base}/public/uploads`;
+}
+
+module.exports = {
+  name: "local",
+  put,
+  delete: remove,
+  list,
+  publicUrl,
+  rootDir,
+};
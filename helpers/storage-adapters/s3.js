@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+
+/**
+ * Storage adapter for Amazon S3 and S3-compatible services (MinIO, Ceph,
+ * Cloudflare R2, ...). Requests are signed with AWS Signature Version 4 and
+ * addressed path-style (<endpoint>/<bucket>/<key>), which all of them accept.
+ *
+ * Configured through environment variables:
+ *  - S3_BUCKET: bucket to store files in (required)
+ *  - S3_REGION: region of the bucket (default "us-east-1")
+ *  - S3_ENDPOINT: service URL, e.g. "http://localhost:9000" for a local MinIO
+ *    (default "https://s3.<region>.amazonaws.com")
+ *  - S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY: credentials (required)
+ *
+ * Files are not given an ACL: the bucket policy or a CDN in front of it decides
+ * who can read them.
+ */
+
+/**
+ * Current configuration
+ * @returns {{bucket: string, region: string, endpoint: string, accessKeyId: string, secretAccessKey: string}}
+ * @throws {Error} If a required setting is missing
+ */
+function config() {
+  const region = process.env.S3_REGION || "us-east-1";
+  const settings = {
+    bucket: process.env.S3_BUCKET,
+    region,
+    endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ""),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  };
+  if (!settings.bucket || !settings.accessKeyId || !settings.secretAccessKey) {
+    throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  return settings;
+}
+
+/**
+ * Percent-encode a string the way Signature Version 4 expects (RFC 3986)
+ * @param {string} value - String to encode
+ * @returns {string}
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Percent-encode a key, keeping the slashes
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+function encodeKey(key) {
+  return key.split("/").map(encodeRfc3986).join("/");
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+/**
+ * Send a signed request for an object, or for the bucket when the key is empty
+ * @param {string} method - HTTP method
+ * @param {string} key - Storage key
+ * @param {Object} [options]
+ * @param {Buffer} [options.body] - Request body
+ * @param {Object<string, string>} [options.headers] - Extra headers to sign and send
+ * @param {Object<string, string>} [options.query] - Query parameters
+ * @returns {Promise<Response>}
+ */
+async function signedRequest(method, key, options = {}) {
+  const { bucket, region, endpoint, accessKeyId, secretAccessKey } = config();
+  const query = Object.entries(options.query || {})
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(String(value))}`)
+    .sort()
+    .join("&");
+  const url = new URL(`${endpoint}/${bucket}/${encodeKey(key)}${query ? `?${query}` : ""}`);
+  const body = options.body || Buffer.alloc(0);
+  const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const headers = {
+    ...options.headers,
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const headerNames = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+  const signedHeaders = headerNames.join(";");
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    query,
+    ...headerNames.map((name) => `${name}:${lowerHeaders[name]}`),
+    "",
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (keyBytes, part) => hmac(keyBytes, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  delete lowerHeaders.host;
+  return fetch(url, {
+    method,
+    body: method === "PUT" ? body : undefined,
+    headers: {
+      ...lowerHeaders,
+      authorization:
+        `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    },
+  });
+}
+
+/**
+ * Upload an object
+ * @param {string} key - Storage key
+ * @param {Buffer} data - File contents
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - MIME type served with the file
+ * @returns {Promise<void>}
+ * @throws {Error} If the service refuses the upload
+ */
+async function put(key, data, options = {}) {
+  const headers = { "content-type": options.contentType || "application/octet-stream" };
+  const response = await signedRequest("PUT", key, { body: data, headers });
+  if (!response.ok) {
+    throw new Error(`S3 upload of ${key} failed with ${response.status}: ${await response.text()}`);
+  }
+}
+
+/**
+ * Delete an object; S3 reports success for missing objects as well
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ * @throws {Error} If the service refuses the deletion
+ */
+async function remove(key) {
+  const response = await signedRequest("DELETE", key);
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`S3 deletion of ${key} failed with ${response.status}: ${await response.text()}`);
+  }
+}
+
+/**
+ * Decode the XML entities S3 uses in listings
+ * @param {string} text - XML text content
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * List the objects under a prefix, following continuation tokens
+ * @param {string} prefix - Key prefix, e.g. "products/"
+ * @returns {Promise<Array<{key: string, lastModified: Date}>>}
+ * @throws {Error} If the service refuses the listing
+ */
+async function list(prefix) {
+  const files = [];
+  let continuationToken;
+  do {
+    const query = { "list-type": "2", prefix };
+    if (continuationToken) query["continuation-token"] = continuationToken;
+    const response = await signedRequest("GET", "", { query });
+    const xml = await response.text();
+    if (!response.ok) {
+      throw new Error(`S3 listing of ${prefix} failed with ${response.status}: ${xml}`);
+    }
+    for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      files.push({
+        key: decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(contents)[1]),
+        lastModified: new Date(/<LastModified>([^<]*)<\/LastModified>/.exec(contents)[1]),
+      });
+    }
+    const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+    const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml);
+    continuationToken = truncated && next ? decodeXml(next[1]) : null;
+  } while (continuationToken);
+  return files;
+}
+
+/**
+ * Base URL of the bucket's objects
+ * @returns {string}
+ */
+function publicUrl() {
+  const { endpoint, bucket } = config();
+  return `${endpoint}/${bucket}`;
+}
+
+module.exports = {
+  name: "s3",
+  put,
+  delete: remove,
+  list,
+  publicUrl,
+};
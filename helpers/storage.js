@@ -0,0 +1,122 @@
+/**
+ * File storage through pluggable adapters.
+ *
+ * An adapter is an object with:
+ *  - name: string selected with STORAGE_DRIVER
+ *  - put(key, data, { contentType }) => Promise<void>
+ *  - delete(key) => Promise<void>, succeeds for keys that do not exist
+ *  - list(prefix) => Promise<Array<{ key, lastModified }>>: every file whose key
+ *      starts with prefix
+ *  - publicUrl() => string: base URL the stored files are served from when
+ *      STORAGE_PUBLIC_URL is not set
+ *
+ * Documents store keys such as "products/<id>.jpg", never URLs: a key is turned
+ * into a URL when the document is serialized, so moving files to another host
+ * or behind a CDN only takes a new STORAGE_PUBLIC_URL.
+ *
+ * Configured through environment variables:
+ *  - STORAGE_DRIVER: adapter to store files with (default "local")
+ *  - STORAGE_PUBLIC_URL: base URL of stored files, e.g. a CDN (default: the adapter's)
+ */
+
+const adapters = {};
+
+/**
+ * Make a storage adapter available under its name
+ * @param {Object} adapter - Adapter implementing the interface above
+ */
+function registerStorageAdapter(adapter) {
+  adapters[adapter.name] = adapter;
+}
+
+/**
+ * Look up a registered storage adapter
+ * @param {string} [name] - Adapter name, defaults to STORAGE_DRIVER or "local"
+ * @returns {Object} Adapter
+ * @throws {Error} If no adapter has that name
+ */
+function getStorageAdapter(name) {
+  const adapterName = name || process.env.STORAGE_DRIVER || "local";
+  const adapter = adapters[adapterName];
+  if (!adapter) {
+    throw new Error(`Unknown storage adapter ${adapterName}`);
+  }
+  return adapter;
+}
+
+registerStorageAdapter(require("./storage-adapters/local"));
+registerStorageAdapter(require("./storage-adapters/s3"));
+
+/**
+ * Base URL stored files are served from, without a trailing slash
+ * @returns {string}
+ */
+function storageBaseUrl() {
+  return (process.env.STORAGE_PUBLIC_URL || getStorageAdapter().publicUrl()).replace(/\/+$/, "");
+}
+
+/**
+ * Store a file
+ * @param {string} key - Storage key, e.g. "products/<id>.jpg"
+ * @param {Buffer} data - File contents
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - MIME type served with the file
+ * @returns {Promise<string>} The key
+ */
+async function putFile(key, data, options = {}) {
+  await getStorageAdapter().put(key, data, options);
+  return key;
+}
+
+/**
+ * Remove a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+async function deleteFile(key) {
+  await getStorageAdapter().delete(key);
+}
+
+/**
+ * List stored files
+ * @param {string} prefix - Key prefix, e.g. "products/"
+ * @returns {Promise<Array<{key: string, lastModified: Date}>>}
+ */
+async function listFiles(prefix) {
+  return getStorageAdapter().list(prefix);
+}
+
+/**
+ * URL of a stored file.
+ * Absolute URLs pass through unchanged: images linked from elsewhere and
+ * documents written before keys were stored.
+ * @param {string} key - Storage key or URL
+ * @returns {string} URL, empty for an empty key
+ */
+function resolveUrl(key) {
+  if (!key || /^https?:\/\//i.test(key)) {
+    return key;
+  }
+  return `${storageBaseUrl()}/${key}`;
+}
+
+/**
+ * Storage key of a URL that resolveUrl produced, so clients can send back the
+ * URLs they were given
+ * @param {string} url - URL or storage key
+ * @returns {string} Key for URLs of stored files, the input unchanged otherwise
+ */
+function storageKeyOf(url) {
+  const prefix = `${storageBaseUrl()}/`;
+  return typeof url === "string" && url.startsWith(prefix) ? url.slice(prefix.length) : url;
+}
+
+module.exports = {
+  deleteFile,
+  getStorageAdapter,
+  listFiles,
+  putFile,
+  registerStorageAdapter,
+  resolveUrl,
+  storageKeyOf,
+};
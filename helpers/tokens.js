@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { User } = require("../models/user");
+const { RefreshToken } = require("../models/refreshToken");
+const { RevokedToken } = require("../models/revokedToken");
+const { AuthenticationError } = require("./errors");
+
+/**
+ * Session token helpers: short-lived access tokens (JWT) paired with rotating
+ * refresh tokens stored in MongoDB.
+ *
+ * Configured through environment variables:
+ *  - ACCESS_TOKEN_TTL: access token lifetime in jsonwebtoken notation (default "15m")
+ *  - REFRESH_TOKEN_TTL_DAYS: refresh token lifetime in days (default 30)
+ */
+
+/**
+ * Access token lifetime, read on every call so .env values loaded later still apply
+ * @returns {string} Lifetime in jsonwebtoken notation
+ */
+function accessTokenTtl() {
+  return process.env.ACCESS_TOKEN_TTL || "15m";
+}
+
+/**
+ * Refresh token lifetime in milliseconds
+ * @returns {number} Lifetime
+ */
+function refreshTokenTtlMs() {
+  return (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Error raised when a refresh token is unknown, expired or revoked
+ * (401 INVALID_REFRESH_TOKEN)
+ */
+class InvalidRefreshTokenError extends AuthenticationError {
+  constructor(message = "Invalid refresh token") {
+    super(message, { code: "INVALID_REFRESH_TOKEN" });
+  }
+}
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user) {
+  const role = user.getRole();
+  return jwt.sign(
+    {
+      userId: user.id,
+      role: role,
+      isAdmin: role === "admin",
+      ver: user.sessionVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl(), jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Create and store a new refresh token
+ * @param {Object} user - User document
+ * @param {string} family - Session family the token belongs to
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<{raw: string, doc: Object}>} Raw token and its stored document
+ */
+async function createRefreshToken(user, family, ip) {
+  const raw = crypto.randomBytes(40).toString("hex");
+  const doc = await new RefreshToken({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    family: family,
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    createdByIp: ip,
+  }).save();
+  return { raw, doc };
+}
+
+/**
+ * Issue a new access/refresh token pair, starting a new session
+ * @param {Object} user - User document
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function issueTokens(user, ip) {
+  const { raw } = await createRefreshToken(user, crypto.randomUUID(), ip);
+  return { token: signAccessToken(user), refreshToken: raw };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented token is revoked and replaced. Presenting a token that was
+ * already rotated is treated as theft and revokes the whole session family.
+ *
+ * @param {string} raw - Raw refresh token
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ * @throws {InvalidRefreshTokenError} If the token cannot be used
+ */
+async function rotateRefreshToken(raw, ip) {
+  if (!raw) {
+    throw new InvalidRefreshTokenError();
+  }
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(raw) });
+  if (!current || current.expiresAt <= new Date()) {
+    throw new InvalidRefreshTokenError();
+  }
+  if (current.revokedAt) {
+    await RefreshToken.updateMany(
+      { family: current.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    throw new InvalidRefreshTokenError("Refresh token reuse detected");
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    throw new InvalidRefreshTokenError();
+  }
+
+  const { raw: nextRaw, doc: next } = await createRefreshToken(user, current.family, ip);
+  // Only the first concurrent rotation wins; a losing request counts as reuse
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: next.tokenHash }
+  );
+  if (!rotated) {
+    await RefreshToken.updateMany(
+      { family: current.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    throw new InvalidRefreshTokenError("Refresh token reuse detected");
+  }
+
+  return { token: signAccessToken(user), refreshToken: nextRaw };
+}
+
+/**
+ * Revoke a single refresh token (one session)
+ * @param {string} raw - Raw refresh token
+ * @param {string} userId - Owner of the token; tokens of other users are ignored
+ * @returns {Promise<void>}
+ */
+async function revokeRefreshToken(raw, userId) {
+  if (!raw) return;
+  const token = await RefreshToken.findOne({ tokenHash: hashToken(raw), user: userId });
+  if (token) {
+    await RefreshToken.updateMany(
+      { family: token.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+}
+
+/**
+ * Put an access token on the denylist until it expires
+ * @param {Object} payload - Decoded JWT payload (req.auth)
+ * @returns {Promise<void>}
+ */
+async function revokeAccessToken(payload) {
+  if (!payload || !payload.jti) return;
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { jti: payload.jti, user: payload.userId, expiresAt: new Date(payload.exp * 1000) },
+    { upsert: true }
+  );
+}
+
+/**
+ * Kill every session of a user: all refresh tokens are revoked and the user's
+ * session version is bumped so outstanding access tokens fail isRevoked.
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function revokeUserSessions(userId) {
+  await User.updateOne({ _id: userId }, { $inc: { sessionVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+}
+
+/**
+ * Check an access token against the denylist and the user's current state
+ * @param {Object} payload - Decoded JWT payload
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+async function isAccessTokenRevoked(payload) {
+  if (payload.jti && (await RevokedToken.exists({ jti: payload.jti }))) {
+    return true;
+  }
+  const user = await User.findById(payload.userId).select("isActive sessionVersion");
+  if (!user || !user.isActive) {
+    return true;
+  }
+  return (user.sessionVersion || 0) !== (payload.ver || 0);
+}
+
+module.exports = {
+  InvalidRefreshTokenError,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserSessions,
+  isAccessTokenRevoked,
+};
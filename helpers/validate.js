@@ -0,0 +1,321 @@
+/**
+ * Declarative request validation.
+ * Routes declare the fields of req.body, req.params and req.query; requests
+ * that do not match are rejected with every failing field before the handler
+ * runs. Field specs are a small subset of JSON Schema, so the Swagger route
+ * generator turns the same specs into the API docs.
+ *
+ * A field spec is an object with:
+ *  - type: string, number, integer, boolean, objectId, date, array, object or any
+ *  - required, nullable: presence rules (null is only accepted when nullable)
+ *  - enum, min, max, minLength, maxLength, pattern, format ("email")
+ *  - items (array element spec), properties (object field specs)
+ *  - description, example: documentation only
+ *
+ * Query and path values are strings; numbers, booleans ("true"/"false",
+ * "1"/"0") and dates are checked on their parsed value. Multipart bodies are coerced the same way, and their
+ * arrays and objects may be sent as JSON strings.
+ */
+
+const { ValidationFailedError } = require("./errors");
+const { booleanFromString } = require("./list-query");
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error raised when a request does not match its declared schema
+ * (400 VALIDATION_FAILED); `details` lists every failing field.
+ */
+class RequestValidationError extends ValidationFailedError {
+  /**
+   * @param {Array<{location: string, field: string, message: string}>} details - Field errors
+   */
+  constructor(details) {
+    super(`Invalid request: ${details.map((d) => `${d.field} ${d.message}`).join("; ")}`, {
+      details,
+    });
+  }
+}
+
+/**
+ * Coerce a string to the type a spec expects, leaving anything else as is
+ * @param {*} value - Raw value
+ * @param {Object} spec - Field spec
+ * @returns {*} Coerced value
+ */
+function coerce(value, spec) {
+  if (typeof value !== "string") return value;
+  switch (spec.type) {
+    case "number":
+    case "integer":
+      return value.trim() === "" ? value : Number(value);
+    case "boolean": {
+      const parsed = booleanFromString(value);
+      return parsed === undefined ? value : parsed;
+    }
+    case "array":
+    case "object":
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check that a value has the type a spec declares
+ * @param {*} value - Coerced value
+ * @param {string} type - Spec type
+ * @returns {string|null} Error message, null if the type matches
+ */
+function typeError(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string" ? null : "must be a string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? null : "must be a number";
+    case "integer":
+      return Number.isInteger(value) ? null : "must be an integer";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "objectId":
+      return typeof value === "string" && OBJECT_ID_PATTERN.test(value) ? null : "must be a valid ID";
+    case "date":
+      return Number.isNaN(new Date(value).getTime()) ? "must be a valid date" : null;
+    case "array":
+      return Array.isArray(value) ? null : "must be an array";
+    case "object":
+      return typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a value against a field spec
+ * @param {*} rawValue - Value to check
+ * @param {Object} spec - Field spec
+ * @param {string} field - Field path used in error messages
+ * @param {Array<Object>} errors - Collected errors, appended to
+ * @param {string} location - body, params or query
+ * @returns {*} The coerced value
+ */
+function checkValue(rawValue, spec, field, errors, location) {
+  const fail = (message) => errors.push({ location, field, message });
+
+  if (rawValue === undefined || rawValue === "") {
+    if (spec.required) fail("is required");
+    return rawValue;
+  }
+  if (rawValue === null) {
+    if (!spec.nullable) fail("must not be null");
+    return rawValue;
+  }
+
+  const value = coerce(rawValue, spec);
+  const typeMessage = typeError(value, spec.type);
+  if (typeMessage) {
+    fail(typeMessage);
+    return value;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    fail(`must be one of ${spec.enum.join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (spec.min !== undefined && value < spec.min) fail(`must be at least ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) fail(`must be at most ${spec.max}`);
+  }
+  if (typeof value === "string") {
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      fail(`must be at least ${spec.minLength} characters long`);
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      fail(`must be at most ${spec.maxLength} characters long`);
+    }
+    if (spec.pattern && !new RegExp(spec.pattern).test(value)) fail("has an invalid format");
+    if (spec.format === "email" && !EMAIL_PATTERN.test(value)) fail("must be a valid email address");
+  }
+  if (Array.isArray(value)) {
+    if (spec.min !== undefined && value.length < spec.min) {
+      fail(`must have at least ${spec.min} item(s)`);
+    }
+    if (spec.max !== undefined && value.length > spec.max) {
+      fail(`must have at most ${spec.max} item(s)`);
+    }
+    if (spec.items) {
+      return value.map((item, i) =>
+        checkValue(item, spec.items, `${field}[${i}]`, errors, location)
+      );
+    }
+  }
+  if (spec.type === "object" && spec.properties) {
+    return checkFields(value, spec.properties, errors, location, `${field}.`);
+  }
+  return value;
+}
+
+/**
+ * Check the fields of an object against their specs
+ * @param {Object} source - Object to check (req.body, req.params, req.query)
+ * @param {Object<string, Object>} fields - Field specs by name
+ * @param {Array<Object>} errors - Collected errors, appended to
+ * @param {string} location - body, params or query
+ * @param {string} [prefix] - Prefix of nested field names
+ * @returns {Object} Copy of the source with coerced values
+ */
+function checkFields(source, fields, errors, location, prefix = "") {
+  const result = { ...(source || {}) };
+  Object.keys(fields).forEach((name) => {
+    const value = checkValue(result[name], fields[name], prefix + name, errors, location);
+    if (value !== undefined) result[name] = value;
+  });
+  return result;
+}
+
+/**
+ * Express middleware factory validating a request against field specs.
+ * The body is replaced by its coerced copy; params and query are only checked,
+ * handlers keep parsing them (see helpers/list-query.js).
+ *
+ * @param {Object} schema
+ * @param {Object<string, Object>} [schema.body] - Field specs of req.body
+ * @param {Object<string, Object>} [schema.params] - Field specs of req.params
+ * @param {Object<string, Object>} [schema.query] - Field specs of req.query
+ * @param {boolean} [schema.multipart] - Body is sent as multipart/form-data (documentation)
+ * @param {Object<string, string>} [schema.files] - Uploaded file fields and their descriptions (documentation)
+ * @returns {Function} Express middleware, exposing the schema as `requestSchema`
+ *
+ * @example
+ * router.post("/", authorize("coupons:write"), validate({ body: couponBody }), handler);
+ */
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    if (schema.params) checkFields(req.params, schema.params, errors, "params");
+    if (schema.query) checkFields(req.query, schema.query, errors, "query");
+    if (schema.body) {
+      const body = checkFields(req.body, schema.body, errors, "body");
+      if (errors.length === 0) req.body = body;
+    }
+    next(errors.length > 0 ? new RequestValidationError(errors) : undefined);
+  };
+  middleware.requestSchema = schema;
+  return middleware;
+}
+
+/**
+ * Copy field specs with nothing required, for partial updates
+ * @param {Object<string, Object>} fields - Field specs
+ * @returns {Object<string, Object>}
+ */
+function partial(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, spec]) => [name, { ...spec, required: false }])
+  );
+}
+
+/**
+ * Params of routes addressing a document by ID
+ * @constant {Object}
+ */
+const idParams = { id: { type: "objectId", required: true } };
+
+/**
+ * Query parameters shared by paginated list endpoints
+ * @constant {Object}
+ */
+const pageQuery = {
+  page: { type: "integer", min: 1, description: "Page number (default 1)" },
+  limit: { type: "integer", min: 1, description: "Page size (default 20, at most 100)" },
+  sort: { type: "string", description: "Comma-separated sort fields, prefix with - for descending" },
+};
+
+/**
+ * Convert a field spec to an OpenAPI schema
+ * @param {Object} spec - Field spec
+ * @returns {Object} OpenAPI schema
+ */
+function toOpenApiSchema(spec) {
+  const schema = {};
+  switch (spec.type) {
+    case "objectId":
+      Object.assign(schema, { type: "string", pattern: OBJECT_ID_PATTERN.source });
+      break;
+    case "date":
+      Object.assign(schema, { type: "string", format: "date-time" });
+      break;
+    case "any":
+    case undefined:
+      break;
+    default:
+      schema.type = spec.type;
+  }
+  if (spec.nullable) schema.nullable = true;
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.format) schema.format = spec.format;
+  if (spec.pattern) schema.pattern = String(spec.pattern);
+  if (spec.minLength !== undefined) schema.minLength = spec.minLength;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.type === "array") {
+    if (spec.min !== undefined) schema.minItems = spec.min;
+    if (spec.max !== undefined) schema.maxItems = spec.max;
+    schema.items = spec.items ? toOpenApiSchema(spec.items) : {};
+  } else {
+    if (spec.min !== undefined) schema.minimum = spec.min;
+    if (spec.max !== undefined) schema.maximum = spec.max;
+  }
+  if (spec.properties) Object.assign(schema, toOpenApiObject(spec.properties));
+  if (spec.description) schema.description = spec.description;
+  if (spec.example !== undefined) schema.example = spec.example;
+  return schema;
+}
+
+/**
+ * Convert field specs to an OpenAPI object schema
+ * @param {Object<string, Object>} fields - Field specs by name
+ * @returns {Object} OpenAPI schema
+ */
+function toOpenApiObject(fields) {
+  const schema = { type: "object", properties: {} };
+  const required = [];
+  Object.keys(fields).forEach((name) => {
+    schema.properties[name] = toOpenApiSchema(fields[name]);
+    if (fields[name].required) required.push(name);
+  });
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * Convert param or query field specs to OpenAPI parameters
+ * @param {Object<string, Object>} fields - Field specs by name
+ * @param {string} location - "path" or "query"
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+function toOpenApiParameters(fields, location) {
+  return Object.keys(fields).map((name) => {
+    const parameter = {
+      name,
+      in: location,
+      required: location === "path" || !!fields[name].required,
+      schema: toOpenApiSchema(fields[name]),
+    };
+    if (fields[name].description) parameter.description = fields[name].description;
+    return parameter;
+  });
+}
+
+module.exports = {
+  RequestValidationError,
+  idParams,
+  pageQuery,
+  partial,
+  toOpenApiObject,
+  toOpenApiParameters,
+  validate,
+};
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+/**
+ * What an account token can be used for
+ * @constant {string[]}
+ */
+const ACCOUNT_TOKEN_PURPOSES = ["verify_email", "reset_password"];
+
+/**
+ * Mongoose schema for a single-use token mailed to a user, proving they
+ * control the account's email address.
+ * Only a SHA-256 hash of the token is stored.
+ * @typedef {Object} AccountToken
+ * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User the token was sent to (required)
+ * @property {string} purpose - One of ACCOUNT_TOKEN_PURPOSES (required)
+ * @property {string} tokenHash - SHA-256 hash of the raw token (required, unique)
+ * @property {string} email - Address the token was sent to (required)
+ * @property {Date} expiresAt - Expiry time, documents are removed by a TTL index afterwards (required)
+ * @property {Date} [usedAt] - When the token was used; used tokens are rejected
+ * @property {Date} dateCreated - Timestamp when the token was issued
+ */
+const accountTokenSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  purpose: { type: String, enum: ACCOUNT_TOKEN_PURPOSES, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  email: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  dateCreated: { type: Date, default: Date.now },
+});
+
+// Let MongoDB drop expired tokens
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+accountTokenSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+accountTokenSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const AccountToken =
+  mongoose.models.AccountToken || mongoose.model("AccountToken", accountTokenSchema);
+
+exports.AccountToken = AccountToken;
+exports.ACCOUNT_TOKEN_PURPOSES = ACCOUNT_TOKEN_PURPOSES;
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose schema for an audit log entry: one change made through the API.
+ * Entries are written by helpers/audit.js and never changed or deleted.
+ * @typedef {Object} AuditLog
+ * @property {mongoose.Schema.Types.ObjectId} [actor] - User who made the change, empty for
+ *           unauthenticated requests such as payment webhooks
+ * @property {string} action - What was done, "<entity>.<verb>", e.g. "product.update" (required)
+ * @property {string} entity - Model name of the changed document, e.g. "Product" (required)
+ * @property {mongoose.Schema.Types.ObjectId} [entityId] - ID of the changed document
+ * @property {Object} [before] - Changed fields with their previous values, empty for creations
+ * @property {Object} [after] - Changed fields with their new values, empty for deletions
+ * @property {string} ip - Client IP of the request
+ * @property {string} [requestId] - X-Request-Id of the request
+ * @property {Date} date - When the change was made
+ */
+const auditLogSchema = mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  action: { type: String, required: true },
+  entity: { type: String, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  ip: { type: String, default: "" },
+  requestId: { type: String },
+  date: { type: Date, default: Date.now },
+});
+
+// History of one document, activity of one user, and everything by date
+auditLogSchema.index({ entity: 1, entityId: 1, date: -1 });
+auditLogSchema.index({ actor: 1, date: -1 });
+auditLogSchema.index({ date: -1 });
+
+/**
+ * Reject every change to existing entries: the log is append-only
+ */
+function rejectChange() {
+  throw new Error("Audit log entries cannot be changed or deleted");
+}
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+    "deleteOne",
+    "deleteMany",
+  ],
+  rejectChange
+);
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+
+auditLogSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+auditLogSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const AuditLog = mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
+
+exports.AuditLog = AuditLog;
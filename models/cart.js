@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+/**
+ * One line of a cart
+ * @typedef {Object} CartItem
+ * @property {mongoose.Schema.Types.ObjectId} product - Reference to the Product model (required)
+ * @property {mongoose.Schema.Types.ObjectId} [variant] - Chosen variant, for products with variants
+ * @property {number} quantity - Units in the cart (required, at least 1)
+ * @property {number} unitPrice - Product price when the line was last changed, used to flag price changes
+ * @property {Date} dateAdded - When the product was first added
+ */
+const cartItemSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: { type: mongoose.Schema.Types.ObjectId },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, default: 0 },
+    dateAdded: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose schema for a shopping cart.
+ * Each user has at most one cart; guests get a cart keyed by a random token
+ * that expires after a period of inactivity.
+ * @typedef {Object} Cart
+ * @property {mongoose.Schema.Types.ObjectId} [user] - Reference to the owning User
+ * @property {string} [guestToken] - Token identifying a guest cart
+ * @property {Array<CartItem>} items - Cart lines, one per product and variant
+ * @property {Date} [expiresAt] - Guest carts are removed by a TTL index after this date
+ * @property {Date} dateUpdated - Last change to the cart
+ */
+const cartSchema = mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  guestToken: { type: String },
+  items: [cartItemSchema],
+  expiresAt: { type: Date },
+  dateUpdated: { type: Date, default: Date.now },
+});
+
+// One cart per user and per guest token
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index(
+  { guestToken: 1 },
+  { unique: true, partialFilterExpression: { guestToken: { $exists: true } } }
+);
+// Let MongoDB drop abandoned guest carts
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+cartSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const Cart = mongoose.models.Cart || mongoose.model("Cart", cartSchema);
+
+exports.Cart = Cart;
@@ -1,19 +1,43 @@
 const mongoose = require("mongoose");
+const { softDelete } = require("../helpers/soft-delete");
 
 /**
  * Mongoose schema definition for a Category.
+ * Categories form a tree: `parent` links a category to its parent and
+ * `ancestors` lists every category above it, root first, so a subtree is one
+ * query away. Both are maintained by helpers/categories.js.
  * @typedef {Object} CategorySchema
  * @property {String} name - The name of the category (required)
+ * @property {String} slug - Unique URL slug, derived from the name when not given
+ * @property {mongoose.Schema.Types.ObjectId} [parent] - Parent category, null for top-level categories
+ * @property {Array<mongoose.Schema.Types.ObjectId>} ancestors - All categories above this one, root first
+ * @property {Number} sortOrder - Position among its siblings, lowest first (default: 0)
  * @property {String} [icon] - The icon representing the category (optional)
  * @property {String} [color] - The color associated with the category (optional)
  * @property {String} [image] - URL or path to the category image (optional)
+ * @property {Date} [deletedAt] - When the category was deleted; deleted categories are hidden
+ *           and keep their slug
  */
 const categorySchema = mongoose.Schema({
   name: { type: String, required: true },
+  slug: { type: String, lowercase: true, trim: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  sortOrder: { type: Number, default: 0 },
   icon: { type: String },
   color: { type: String },
   image: String,
 });
+
+// Slugs are unique; categories created before slugs existed have none
+categorySchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: "string" } } }
+);
+categorySchema.index({ ancestors: 1 });
+
+categorySchema.plugin(softDelete);
+
 categorySchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
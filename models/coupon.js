@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+/**
+ * Supported discount rules
+ *  - percentage: `value` percent off the eligible items
+ *  - fixed: `value` off the eligible items, never more than their total
+ *  - free_shipping: waives the order's shipping cost
+ *  - buy_x_get_y: for every `buyQuantity` units of an eligible product,
+ *    `getQuantity` more units of it are free
+ * @constant {string[]}
+ */
+const COUPON_TYPES = ["percentage", "fixed", "free_shipping", "buy_x_get_y"];
+
+/**
+ * Mongoose schema for a coupon.
+ * When `products` or `categories` are set the discount only applies to
+ * matching order items, otherwise to the whole order.
+ * @typedef {Object} Coupon
+ * @property {string} code - Code customers enter, stored upper-case (required, unique)
+ * @property {string} [description] - Shown in the order's discount breakdown
+ * @property {string} type - One of COUPON_TYPES (required)
+ * @property {number} value - Percentage or amount, depending on type (default: 0)
+ * @property {number} [buyQuantity] - Units to buy for buy_x_get_y
+ * @property {number} [getQuantity] - Free units for buy_x_get_y
+ * @property {Array<mongoose.Schema.Types.ObjectId>} products - Products the coupon is limited to
+ * @property {Array<mongoose.Schema.Types.ObjectId>} categories - Categories the coupon is limited to
+ * @property {number} minOrderValue - Minimum order subtotal (default: 0)
+ * @property {number} [usageLimit] - Total number of uses, unlimited when empty
+ * @property {number} usageCount - Number of orders that used the coupon (default: 0)
+ * @property {number} [perUserLimit] - Uses per user, unlimited when empty
+ * @property {Date} [startsAt] - Not valid before this date
+ * @property {Date} [expiresAt] - Not valid after this date
+ * @property {boolean} isActive - Inactive coupons cannot be used (default: true)
+ * @property {Date} dateCreated - Timestamp when the coupon was created
+ */
+const couponSchema = mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: { type: String, default: "" },
+  type: { type: String, required: true, enum: COUPON_TYPES },
+  value: { type: Number, default: 0, min: 0 },
+  buyQuantity: { type: Number, min: 1 },
+  getQuantity: { type: Number, min: 1 },
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  minOrderValue: { type: Number, default: 0, min: 0 },
+  usageLimit: { type: Number, min: 0 },
+  usageCount: { type: Number, default: 0 },
+  perUserLimit: { type: Number, min: 0 },
+  startsAt: { type: Date },
+  expiresAt: { type: Date },
+  isActive: { type: Boolean, default: true },
+  dateCreated: { type: Date, default: Date.now },
+});
+
+// Rule-specific checks the field validators cannot express
+couponSchema.pre("validate", function (next) {
+  if (this.type === "percentage" && this.value > 100) {
+    this.invalidate("value", "Percentage coupons cannot exceed 100");
+  }
+  if (this.type === "buy_x_get_y" && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate("buyQuantity", "buy_x_get_y coupons need buyQuantity and getQuantity");
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt > this.expiresAt) {
+    this.invalidate("expiresAt", "expiresAt must be after startsAt");
+  }
+  next();
+});
+
+couponSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+couponSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", couponSchema);
+
+exports.Coupon = Coupon;
+exports.COUPON_TYPES = COUPON_TYPES;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const { resolveUrl } = require("../helpers/storage");
+
+/**
+ * Mongoose schema for an uploaded file and its renditions in storage.
+ * `refCount` counts the documents showing the file: every product and every
+ * order using its key holds one reference. The files are deleted when the last
+ * reference goes, see helpers/media.js.
+ * @typedef {Object} Media
+ * @property {string} key - Storage key of the uploaded file (required, unique)
+ * @property {Map<string, string>} renditions - Storage keys of the renditions by name
+ * @property {string} contentType - MIME type of the uploaded file
+ * @property {number} size - Size of the uploaded file in bytes
+ * @property {number} refCount - Number of documents referencing the file (default: 0)
+ * @property {Date} dateCreated - Upload time
+ */
+const mediaSchema = mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  renditions: { type: Map, of: String, default: {} },
+  contentType: { type: String, default: "" },
+  size: { type: Number, default: 0 },
+  refCount: { type: Number, default: 0, min: 0 },
+  dateCreated: { type: Date, default: Date.now },
+});
+
+// Unreferenced uploads, looked up by the sweep
+mediaSchema.index({ refCount: 1, dateCreated: 1 });
+
+/**
+ * Storage keys of every file of the upload
+ * @returns {string[]}
+ */
+mediaSchema.methods.storageKeys = function () {
+  return [this.key, ...this.renditions.values()];
+};
+
+mediaSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+mediaSchema.virtual("url").get(function () {
+  return resolveUrl(this.key);
+});
+mediaSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.renditions) {
+      ret.renditions = Object.fromEntries(
+        Object.entries(ret.renditions).map(([name, key]) => [name, resolveUrl(key)])
+      );
+    }
+    return ret;
+  },
+});
+
+// Prevent duplicate model compilation
+const Media = mongoose.models.Media || mongoose.model("Media", mediaSchema);
+
+exports.Media = Media;
@@ -9,12 +9,77 @@ const mongoose = require("mongoose");
  * @property {string} city - City for shipping
  * @property {string} zip - Postal/ZIP code
  * @property {string} country - Country for shipping
+ * @property {string} [region=""] - Region/state for shipping, used for regional tax rules
  * @property {string} phone - Contact phone number
- * @property {string} status - Current order status
- * @property {number} totalPrice - Total price of the order
+ * @property {string} status - Current order status, changed only along ORDER_STATUS_TRANSITIONS
+ * @property {Array<Object>} statusHistory - Every status the order went through, oldest first
+ * @property {number} subtotal - Sum of the order item line totals
+ * @property {Array<string>} couponCodes - Coupon codes applied to the order
+ * @property {Array<Object>} discounts - Discount breakdown, one entry per applied coupon
+ * @property {number} discountTotal - Sum of all discounts
+ * @property {boolean} freeShipping - Whether a coupon waived the shipping cost
+ * @property {string} shippingZone - Name of the shipping zone used
+ * @property {number} shippingPrice - Shipping cost
+ * @property {string} taxName - Name of the tax rule applied
+ * @property {number} taxRate - Tax rate in percent
+ * @property {number} taxPrice - Tax amount
+ * @property {number} totalPrice - Grand total: subtotal - discounts + shipping + tax
  * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User who placed the order
  * @property {Date} dateOrdered - Timestamp when the order was created
  */
+/**
+ * Allowed status changes: Pending → Paid → Shipped → Delivered,
+ * and cancellation only before the order has shipped.
+ * @constant {Object<string, string[]>}
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  Pending: ["Paid", "Cancelled"],
+  Paid: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: [],
+  Cancelled: [],
+};
+
+/**
+ * One entry of an order's status history
+ * @typedef {Object} OrderStatusChange
+ * @property {string} status - Status the order moved to
+ * @property {mongoose.Schema.Types.ObjectId} [changedBy] - User who made the change, empty for system changes
+ * @property {string} [note] - Optional note explaining the change
+ * @property {Date} date - When the change happened
+ */
+const statusChangeSchema = mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+      enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+    },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String, default: "" },
+    date: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Discount granted by one coupon
+ * @typedef {Object} OrderDiscount
+ * @property {string} code - Coupon code
+ * @property {string} type - Coupon type
+ * @property {string} [description] - Coupon description
+ * @property {number} amount - Amount taken off the order
+ */
+const discountSchema = mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    type: { type: String, required: true },
+    description: { type: String, default: "" },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
 const orderSchema = mongoose.Schema({
   orderItems: [
     {
@@ -28,17 +93,39 @@ const orderSchema = mongoose.Schema({
   city: { type: String, required: true },
   zip: { type: String, required: true },
   country: { type: String, required: true },
+  region: { type: String, default: "" },
   phone: { type: String, required: true },
   status: {
     type: String,
     default: "Pending",
-    enum: ["Pending", "Shipped", "Delivered", "Cancelled"],
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
   },
+  statusHistory: [statusChangeSchema],
+  subtotal: { type: Number, default: 0 },
+  couponCodes: [{ type: String }],
+  discounts: [discountSchema],
+  discountTotal: { type: Number, default: 0 },
+  freeShipping: { type: Boolean, default: false },
+  shippingZone: { type: String, default: "" },
+  shippingPrice: { type: Number, default: 0 },
+  taxName: { type: String, default: "" },
+  taxRate: { type: Number, default: 0 },
+  taxPrice: { type: Number, default: 0 },
   totalPrice: { type: Number, required: true },
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   dateOrdered: { type: Date, default: Date.now },
 });
 
+/**
+ * Check whether the order may move to a status
+ * @param {string} status - Target status
+ * @returns {boolean}
+ */
+orderSchema.methods.canTransitionTo = function (status) {
+  const allowed = ORDER_STATUS_TRANSITIONS[this.status] || [];
+  return allowed.includes(status);
+};
+
 orderSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
@@ -50,3 +137,4 @@ orderSchema.set("toJSON", {
 const Order = mongoose.models.Order || mongoose.model("Order", orderSchema);
 
 exports.Order = Order;
+exports.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
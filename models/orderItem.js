@@ -1,10 +1,22 @@
 const mongoose = require("mongoose");
+const { resolveUrl } = require("../helpers/storage");
 
 /**
- * Mongoose schema for order item
+ * Mongoose schema for order item.
+ * Product details are copied at purchase time so historical orders keep their
+ * line prices when the product is repriced or deleted.
  * @typedef {Object} OrderItem
  * @property {number} quantity - The quantity of product in the order (required)
  * @property {mongoose.Schema.Types.ObjectId} product - Reference to the Product model (required)
+ * @property {number} unitPrice - Product price at purchase time (required)
+ * @property {string} name - Product name at purchase time (required)
+ * @property {string} image - Main product image at purchase time, a storage key or URL
+ * @property {mongoose.Schema.Types.ObjectId} category - Product category at purchase time
+ * @property {string} categoryName - Category name at purchase time
+ * @property {number} weight - Unit shipping weight in kilograms at purchase time
+ * @property {mongoose.Schema.Types.ObjectId} [variant] - ID of the ordered product variant
+ * @property {string} [sku] - Variant SKU at purchase time
+ * @property {string} [variantName] - Variant option values at purchase time, e.g. "M / Red"
  */
 const orderItemSchema = mongoose.Schema({
   quantity: { type: Number, required: true },
@@ -13,14 +25,32 @@ const orderItemSchema = mongoose.Schema({
     ref: "Product",
     required: true,
   },
+  unitPrice: { type: Number, required: true },
+  name: { type: String, required: true },
+  image: { type: String, default: "" },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+  categoryName: { type: String, default: "" },
+  weight: { type: Number, default: 0 },
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  sku: { type: String },
+  variantName: { type: String },
 });
 
 orderItemSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
 
+// Line total from the snapshot price
+orderItemSchema.virtual("lineTotal").get(function () {
+  return this.unitPrice * this.quantity;
+});
+
 orderItemSchema.set("toJSON", {
   virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.image !== undefined) ret.image = resolveUrl(ret.image);
+    return ret;
+  },
 });
 
 // Prevent duplicate model compilation
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+/**
+ * Payment lifecycle
+ *  - pending: intent created, waiting for the provider's webhook
+ *  - succeeded: captured, the order is Paid
+ *  - failed: declined by the provider, the order can be paid again
+ *  - cancelled: superseded by a newer intent for the same order
+ *  - partially_refunded / refunded: part or all of the amount was given back
+ * @constant {string[]}
+ */
+const PAYMENT_STATUSES = [
+  "pending",
+  "succeeded",
+  "failed",
+  "cancelled",
+  "partially_refunded",
+  "refunded",
+];
+
+/**
+ * Refund statuses, confirmed synchronously or by a later webhook
+ * @constant {string[]}
+ */
+const REFUND_STATUSES = ["pending", "succeeded", "failed"];
+
+/**
+ * A refund of (part of) a payment
+ * @typedef {Object} Refund
+ * @property {string} [reference] - Provider's refund ID
+ * @property {number} amount - Refunded amount
+ * @property {string} [reason] - Why the refund was made
+ * @property {string} status - One of REFUND_STATUSES
+ * @property {mongoose.Schema.Types.ObjectId} [requestedBy] - User who requested the refund
+ * @property {Date} date - When the refund was requested
+ */
+const refundSchema = mongoose.Schema({
+  reference: { type: String },
+  amount: { type: Number, required: true, min: 0 },
+  reason: { type: String },
+  status: { type: String, enum: REFUND_STATUSES, default: "pending" },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  date: { type: Date, default: Date.now },
+});
+
+/**
+ * Mongoose schema for a payment of an order through a payment provider
+ * @typedef {Object} Payment
+ * @property {mongoose.Schema.Types.ObjectId} order - Paid order (required)
+ * @property {mongoose.Schema.Types.ObjectId} [user] - User the order belongs to
+ * @property {string} provider - Name of the payment provider (required)
+ * @property {string} reference - Provider's payment intent ID (required)
+ * @property {number} amount - Amount to capture, the order's totalPrice (required)
+ * @property {string} currency - ISO currency code (required)
+ * @property {string} status - One of PAYMENT_STATUSES (default: pending)
+ * @property {string} [failureReason] - Provider's reason for a failed payment
+ * @property {number} amountRefunded - Total of the succeeded refunds (default: 0)
+ * @property {Array<Refund>} refunds - Refunds of this payment
+ * @property {boolean} refundRequired - The payment succeeded after its order was cancelled or
+ *           paid otherwise and must be refunded in full (default: false)
+ * @property {Array<string>} processedEvents - Webhook event IDs already applied
+ * @property {Date} dateCreated - Creation date
+ * @property {Date} dateUpdated - Last status change
+ */
+const paymentSchema = mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    provider: { type: String, required: true },
+    reference: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, required: true, lowercase: true },
+    status: { type: String, enum: PAYMENT_STATUSES, default: "pending" },
+    failureReason: { type: String },
+    amountRefunded: { type: Number, default: 0 },
+    refunds: [refundSchema],
+    refundRequired: { type: Boolean, default: false },
+    processedEvents: { type: [String], select: false },
+    dateCreated: { type: Date, default: Date.now },
+    dateUpdated: { type: Date, default: Date.now },
+  },
+  // Refunds are reserved with a save, concurrent refunds must not both pass
+  { optimisticConcurrency: true }
+);
+
+// Webhooks look payments up by the provider's reference
+paymentSchema.index({ provider: 1, reference: 1 }, { unique: true });
+
+paymentSchema.pre("save", function () {
+  if (this.isModified("status") || this.isModified("refunds")) {
+    this.dateUpdated = new Date();
+  }
+});
+
+paymentSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+paymentSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const Payment = mongoose.models.Payment || mongoose.model("Payment", paymentSchema);
+
+exports.Payment = Payment;
+exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
+exports.REFUND_STATUSES = REFUND_STATUSES;
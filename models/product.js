@@ -1,4 +1,80 @@
 const mongoose = require("mongoose");
+const { softDelete } = require("../helpers/soft-delete");
+const { resolveUrl } = require("../helpers/storage");
+
+/**
+ * A product option customers choose from, e.g. Size with S, M and L
+ * @typedef {Object} ProductOption
+ * @property {string} name - Option name (required)
+ * @property {string[]} values - Allowed values (at least one)
+ */
+const optionSchema = mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    values: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
+
+/**
+ * A purchasable combination of option values with its own stock
+ * @typedef {Object} ProductVariant
+ * @property {string} sku - Stock keeping unit, unique across products (required)
+ * @property {Map<string, string>} attributes - Value of every product option, e.g. { Size: "M", Color: "Red" }
+ * @property {number} [price] - Price override, the product price applies when empty
+ * @property {number} [weight] - Weight override in kilograms
+ * @property {number} countInStock - Available quantity of this variant (required, between 0 and 255)
+ * @property {string[]} images - Variant images (storage keys or URLs), shown instead of the product's
+ */
+const variantSchema = mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  attributes: { type: Map, of: String, default: {} },
+  price: { type: Number, min: 0 },
+  weight: { type: Number, min: 0 },
+  countInStock: { type: Number, required: true, min: 0, max: 255 },
+  images: [{ type: String }],
+});
+
+variantSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+variantSchema.set("toJSON", {
+  virtuals: true,
+});
+
+/**
+ * WebP renditions of an uploaded product image
+ * @typedef {Object} ImageRenditions
+ * @property {string} source - Storage key of the image the renditions were made from (required)
+ * @property {string} thumbnail - Storage key of the thumbnail
+ * @property {string} medium - Storage key of the medium size
+ * @property {string} large - Storage key of the large size
+ */
+const renditionsSchema = mongoose.Schema(
+  {
+    source: { type: String, required: true },
+    thumbnail: String,
+    medium: String,
+    large: String,
+  },
+  { _id: false }
+);
+
+/**
+ * Text shown with a product image, for screen readers and under the image
+ * @typedef {Object} ImageDetails
+ * @property {string} source - Storage key or URL of the image (required)
+ * @property {string} alt - Alternative text describing the image (default: empty string)
+ * @property {string} caption - Caption shown with the image (default: empty string)
+ */
+const imageDetailsSchema = mongoose.Schema(
+  {
+    source: { type: String, required: true },
+    alt: { type: String, trim: true, maxlength: 250, default: "" },
+    caption: { type: String, trim: true, maxlength: 500, default: "" },
+  },
+  { _id: false }
+);
 
 /**
  * Mongoose schema for the Product model
@@ -6,15 +82,26 @@ const mongoose = require("mongoose");
  * @property {string} name - Name of the product (required)
  * @property {string} description - Detailed description of the product (required)
  * @property {string} richDescription - Enhanced HTML description of the product (default: empty string)
- * @property {string} image - Main image URL for the product (default: empty string)
- * @property {string[]} images - Array of additional image URLs for the product
+ * @property {string} image - Main image of the product, a storage key or an external URL (default: empty string)
+ * @property {string[]} images - Additional images of the product, storage keys or external URLs
+ * @property {Array<ImageRenditions>} renditions - Renditions of the uploaded images among
+ *           image and images, looked up by their source key
+ * @property {Array<ImageDetails>} imageDetails - Alt text and captions of images among image
+ *           and images, looked up by their source
  * @property {string} brand - Brand name of the product (default: empty string)
  * @property {number} price - Product price (default: 0)
+ * @property {number} weight - Shipping weight in kilograms (default: 0)
  * @property {mongoose.Schema.Types.ObjectId} category - Reference to the Category model (required)
- * @property {number} countInStock - Available quantity in stock (required, between 0 and 255)
- * @property {number} rating - Product rating (default: 0)
+ * @property {number} countInStock - Available quantity in stock (required, between 0 and 255);
+ *           for products with variants, the total stock of the variants
+ * @property {Array<ProductOption>} options - Options the variants are made of
+ * @property {Array<ProductVariant>} variants - Purchasable variants, one per combination of option values
+ * @property {number} rating - Average star rating of the published reviews (default: 0)
+ * @property {number} numReviews - Number of published reviews (default: 0)
  * @property {boolean} isFeatured - Whether the product should be featured on the front page (default: false)
  * @property {Date} dateCreated - Date when the product was created (default: current date)
+ * @property {Date} [deletedAt] - When the product was deleted; deleted products are hidden,
+ *           keep their SKUs and images, and stay referenced by past orders
  */
 const productSchema = mongoose.Schema({
   name: { type: String, required: true },
@@ -22,24 +109,161 @@ const productSchema = mongoose.Schema({
   richDescription: { type: String, default: "" },
   image: { type: String, default: "" },
   images: [{ type: String }],
+  renditions: [renditionsSchema],
+  imageDetails: [imageDetailsSchema],
   brand: { type: String, default: "" },
   price: { type: Number, default: 0 },
+  weight: { type: Number, default: 0, min: 0 },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Category",
     required: true,
   },
-  countInStock: { type: Number, required: true, min: 0, max: 255 },
+  countInStock: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      // The 255 cap applies per variant, not to the total of a product's variants
+      validator: function (value) {
+        return (this.variants && this.variants.length > 0) || value <= 255;
+      },
+      message: "countInStock must be at most 255",
+    },
+  },
+  options: [optionSchema],
+  variants: [variantSchema],
+  // Computed from reviews by helpers/reviews.js, never set through the API
   rating: { type: Number, default: 0 },
+  numReviews: { type: Number, default: 0 },
   isFeatured: { type: Boolean, default: false },
   dateCreated: { type: Date, default: Date.now },
 });
 
+// Full-text search index used by GET /products/search, matches in name weigh most
+productSchema.index(
+  { name: "text", brand: "text", description: "text", richDescription: "text" },
+  {
+    name: "ProductTextIndex",
+    weights: { name: 10, brand: 5, description: 2, richDescription: 1 },
+  }
+);
+
+// SKUs identify variants across the catalogue
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+productSchema.plugin(softDelete);
+
+// Forget the renditions and text of images the product no longer shows
+productSchema.pre("validate", function () {
+  const shown = new Set([this.image, ...this.images]);
+  ["renditions", "imageDetails"].forEach((path) => {
+    if (this[path].some((entry) => !shown.has(entry.source))) {
+      this[path] = this[path].filter((entry) => shown.has(entry.source));
+    }
+  });
+});
+
+/**
+ * Check the variants against the options and keep the product's stock equal
+ * to the total stock of its variants
+ */
+productSchema.pre("validate", function () {
+  if (this.variants.length === 0) return;
+
+  const skus = new Set();
+  const combinations = new Set();
+  this.variants.forEach((variant) => {
+    if (skus.has(variant.sku)) {
+      this.invalidate("variants", `Duplicate SKU ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    this.options.forEach((option) => {
+      const value = variant.attributes.get(option.name);
+      if (!option.values.includes(value)) {
+        this.invalidate(
+          "variants",
+          `Variant ${variant.sku} needs one of ${option.values.join(", ")} for ${option.name}`
+        );
+      }
+    });
+    if (variant.attributes.size !== this.options.length) {
+      this.invalidate("variants", `Variant ${variant.sku} must set exactly the product options`);
+    }
+
+    const combination = this.options.map((option) => variant.attributes.get(option.name)).join("/");
+    if (combinations.has(combination)) {
+      this.invalidate("variants", `Variant ${variant.sku} duplicates another variant's options`);
+    }
+    combinations.add(combination);
+  });
+
+  this.countInStock = this.variants.reduce((sum, variant) => sum + variant.countInStock, 0);
+});
+
+/**
+ * Find a variant of this product
+ * @param {string} variantId - Variant ID
+ * @returns {Object|null} Variant subdocument
+ */
+productSchema.methods.findVariant = function (variantId) {
+  return this.variants.id(variantId) || null;
+};
+
+/**
+ * Human readable label of a variant, its option values in option order, e.g. "M / Red"
+ * @param {Object} variant - Variant subdocument
+ * @returns {string}
+ */
+productSchema.methods.variantLabel = function (variant) {
+  return this.options.map((option) => variant.attributes.get(option.name)).join(" / ");
+};
+
+/**
+ * Set the alt text and caption of one of this product's images
+ * @param {string} source - Storage key or URL of the image
+ * @param {{alt: (string|undefined), caption: (string|undefined)}} details - Fields to change,
+ *        undefined fields are kept
+ */
+productSchema.methods.setImageDetails = function (source, details) {
+  if (details.alt === undefined && details.caption === undefined) return;
+  let entry = this.imageDetails.find((candidate) => candidate.source === source);
+  if (!entry) {
+    this.imageDetails.push({ source });
+    entry = this.imageDetails[this.imageDetails.length - 1];
+  }
+  if (details.alt !== undefined) entry.alt = details.alt;
+  if (details.caption !== undefined) entry.caption = details.caption;
+};
+
 productSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
+// Storage keys are turned into URLs only when a product is sent out
 productSchema.set("toJSON", {
   virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.image !== undefined) ret.image = resolveUrl(ret.image);
+    if (ret.images) ret.images = ret.images.map(resolveUrl);
+    if (ret.renditions) {
+      ret.renditions = ret.renditions.map((entry) =>
+        Object.fromEntries(Object.entries(entry).map(([name, key]) => [name, resolveUrl(key)]))
+      );
+    }
+    if (ret.imageDetails) {
+      ret.imageDetails = ret.imageDetails.map((entry) => ({ ...entry, source: resolveUrl(entry.source) }));
+    }
+    if (ret.variants) {
+      ret.variants.forEach((variant) => {
+        if (variant.images) variant.images = variant.images.map(resolveUrl);
+      });
+    }
+    return ret;
+  },
 });
 
 // Prevent duplicate model compilation
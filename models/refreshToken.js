@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose schema for a refresh token issued at login.
+ * Only a SHA-256 hash of the token is stored. Tokens are rotated on every use;
+ * all tokens descending from one login share a `family` so reuse of an already
+ * rotated token can revoke the whole chain.
+ * @typedef {Object} RefreshToken
+ * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User the token belongs to (required)
+ * @property {string} tokenHash - SHA-256 hash of the raw token (required, unique)
+ * @property {string} family - Identifier shared by all rotations of one login session (required)
+ * @property {Date} expiresAt - Expiry time, documents are removed by a TTL index afterwards (required)
+ * @property {Date} [revokedAt] - When the token was rotated or revoked
+ * @property {string} [replacedBy] - Hash of the token that replaced this one on rotation
+ * @property {string} [createdByIp] - IP address the token was issued to
+ * @property {Date} dateCreated - Timestamp when the token was issued
+ */
+const refreshTokenSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  replacedBy: { type: String },
+  createdByIp: { type: String },
+  dateCreated: { type: Date, default: Date.now },
+});
+
+// Let MongoDB drop expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+refreshTokenSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const RefreshToken =
+  mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema);
+
+exports.RefreshToken = RefreshToken;
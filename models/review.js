@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+/**
+ * Review visibility. Hidden reviews are kept for moderators but are not
+ * shown to customers or counted in the product's rating.
+ * @constant {string[]}
+ */
+const REVIEW_STATUSES = ["published", "hidden"];
+
+/**
+ * Mongoose schema for a product review.
+ * Each customer can review a product once, after buying it.
+ * @typedef {Object} Review
+ * @property {mongoose.Schema.Types.ObjectId} product - Reviewed product (required)
+ * @property {mongoose.Schema.Types.ObjectId} user - Author (required)
+ * @property {number} rating - Whole stars from 1 to 5 (required)
+ * @property {string} [title] - Short summary
+ * @property {string} [comment] - Review text
+ * @property {string} status - One of REVIEW_STATUSES (default: published)
+ * @property {mongoose.Schema.Types.ObjectId} [moderatedBy] - Admin who last changed the status
+ * @property {string} [moderationNote] - Reason for the last status change
+ * @property {Date} dateCreated - Creation date
+ * @property {Date} dateUpdated - Last edit by the author
+ */
+const reviewSchema = mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: { validator: Number.isInteger, message: "rating must be a whole number" },
+  },
+  title: { type: String, trim: true, maxlength: 120 },
+  comment: { type: String, trim: true, maxlength: 5000 },
+  status: { type: String, enum: REVIEW_STATUSES, default: "published" },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  moderationNote: { type: String },
+  dateCreated: { type: Date, default: Date.now },
+  dateUpdated: { type: Date, default: Date.now },
+});
+
+// One review per customer and product; also serves the product's review listing
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, dateCreated: -1 });
+
+reviewSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+reviewSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const Review = mongoose.models.Review || mongoose.model("Review", reviewSchema);
+
+exports.Review = Review;
+exports.REVIEW_STATUSES = REVIEW_STATUSES;
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose schema for the access token denylist.
+ * An entry only needs to live as long as the token itself would.
+ * @typedef {Object} RevokedToken
+ * @property {string} jti - JWT ID of the revoked access token (required, unique)
+ * @property {mongoose.Schema.Types.ObjectId} [user] - Reference to the User the token was issued to
+ * @property {Date} expiresAt - Expiry of the original token, removed by a TTL index afterwards (required)
+ */
+const revokedTokenSchema = mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  expiresAt: { type: Date, required: true },
+});
+
+// Let MongoDB drop entries once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent duplicate model compilation
+const RevokedToken =
+  mongoose.models.RevokedToken || mongoose.model("RevokedToken", revokedTokenSchema);
+
+exports.RevokedToken = RevokedToken;
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/**
+ * Supported shipping rate types
+ *  - flat: `flatRate` per order
+ *  - weight: `baseRate` plus `perKgRate` for every kilogram of the order
+ * @constant {string[]}
+ */
+const SHIPPING_RATE_TYPES = ["flat", "weight"];
+
+/**
+ * Mongoose schema for a shipping zone.
+ * An order ships with the zone listing its country; a zone with no countries
+ * is the fallback for every country not listed elsewhere.
+ * @typedef {Object} ShippingZone
+ * @property {string} name - Zone name (required)
+ * @property {Array<string>} countries - Countries in the zone, stored upper-case
+ * @property {string} rateType - One of SHIPPING_RATE_TYPES (default: flat)
+ * @property {number} flatRate - Cost per order for flat rates (default: 0)
+ * @property {number} baseRate - Base cost for weight-based rates (default: 0)
+ * @property {number} perKgRate - Cost per kilogram for weight-based rates (default: 0)
+ * @property {number} [freeOver] - Shipping is free from this discounted subtotal upwards
+ * @property {boolean} isActive - Inactive zones are ignored (default: true)
+ */
+const shippingZoneSchema = mongoose.Schema({
+  name: { type: String, required: true },
+  countries: [{ type: String, uppercase: true, trim: true }],
+  rateType: { type: String, enum: SHIPPING_RATE_TYPES, default: "flat" },
+  flatRate: { type: Number, default: 0, min: 0 },
+  baseRate: { type: Number, default: 0, min: 0 },
+  perKgRate: { type: Number, default: 0, min: 0 },
+  freeOver: { type: Number, min: 0 },
+  isActive: { type: Boolean, default: true },
+});
+
+shippingZoneSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+shippingZoneSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const ShippingZone =
+  mongoose.models.ShippingZone || mongoose.model("ShippingZone", shippingZoneSchema);
+
+exports.ShippingZone = ShippingZone;
+exports.SHIPPING_RATE_TYPES = SHIPPING_RATE_TYPES;
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose schema for a tax rule.
+ * A rule for a country and region wins over the rule for the whole country.
+ * @typedef {Object} TaxRule
+ * @property {string} name - Rule name shown in the order breakdown, e.g. "VAT" (required)
+ * @property {string} country - Country the rule applies to, stored upper-case (required)
+ * @property {string} [region] - Region/state within the country, stored upper-case
+ * @property {number} rate - Tax rate in percent (required, 0-100)
+ * @property {boolean} appliesToShipping - Whether shipping is taxed too (default: false)
+ * @property {boolean} isActive - Inactive rules are ignored (default: true)
+ */
+const taxRuleSchema = mongoose.Schema({
+  name: { type: String, required: true },
+  country: { type: String, required: true, uppercase: true, trim: true },
+  region: { type: String, uppercase: true, trim: true, default: "" },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  appliesToShipping: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+});
+
+// One rule per country/region pair
+taxRuleSchema.index({ country: 1, region: 1 }, { unique: true });
+
+taxRuleSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+taxRuleSchema.set("toJSON", {
+  virtuals: true,
+});
+
+// Prevent duplicate model compilation
+const TaxRule = mongoose.models.TaxRule || mongoose.model("TaxRule", taxRuleSchema);
+
+exports.TaxRule = TaxRule;
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../helpers/authorize');
+const { softDelete } = require('../helpers/soft-delete');
 
+/**
+ * Mongoose schema for the User model
+ * @typedef {Object} User
+ * @property {string} name - Full name (required)
+ * @property {string} email - Login email, stored trimmed and lowercased (required, unique)
+ * @property {boolean} emailVerified - Whether the user confirmed the email address (default: false)
+ * @property {Date} [emailVerifiedAt] - When the email address was confirmed
+ * @property {string} passwordHash - Bcrypt hash of the password (required, never serialized)
+ * @property {string} phone - Contact phone number (required)
+ * @property {string} role - Authorization role: customer, staff or admin (default: customer);
+ *           the only source of truth for permissions
+ * @property {boolean} isAdmin - Legacy admin flag, derived from role on save
+ * @property {boolean} isActive - Disabled users cannot log in and their tokens are rejected (default: true)
+ * @property {number} sessionVersion - Bumped to invalidate all access tokens issued before (default: 0)
+ * @property {string} street - Street address
+ * @property {string} apartment - Apartment/Unit number
+ * @property {string} zip - ZIP/Postal code
+ * @property {string} city - City
+ * @property {string} country - Country
+ * @property {Date} [deletedAt] - When the account was deleted; deleted accounts are hidden
+ *           and keep their email address reserved
+ */
 const userSchema = mongoose.Schema({
     name: {
         type: String,
@@ -8,6 +32,16 @@ const userSchema = mongoose.Schema({
     email: {
         type: String,
         required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
     },
     passwordHash: {
         type: String,
@@ -17,10 +51,26 @@ const userSchema = mongoose.Schema({
         type: String,
         required: true,
     },
+    role: {
+        type: String,
+        enum: ROLES,
+        // Accounts created before roles existed only have the isAdmin flag stored
+        default: function () {
+            return this.isAdmin ? 'admin' : 'customer';
+        },
+    },
     isAdmin: {
         type: Boolean,
         default: false,
     },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    sessionVersion: {
+        type: Number,
+        default: 0,
+    },
     street: {
         type: String,
         default: ''
@@ -43,7 +93,42 @@ const userSchema = mongoose.Schema({
     }
 });
 
+// isAdmin only mirrors the role
+userSchema.pre('validate', function () {
+    this.isAdmin = this.role === 'admin';
+});
+
+/**
+ * Effective role of the user
+ * @returns {string} One of ROLES
+ */
+userSchema.methods.getRole = function () {
+    return this.role;
+};
+
+userSchema.plugin(softDelete);
+
+userSchema.virtual('id').get(function () {
+    return this._id.toHexString();
+});
+userSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+    },
+});
+
+/**
+ * Normalize an email address the way the User model stores it
+ * @param {string} email - Email address as entered
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
+
 // Prevent duplicate model compilation
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 
-module.exports = { User };
+module.exports = { User, normalizeEmail };
@@ -0,0 +1,65 @@
+const { AuditLog } = require("../models/auditLog");
+const { authorize } = require("../helpers/authorize");
+const { paginate, parseDate, parseList, range } = require("../helpers/list-query");
+const { pageQuery, validate } = require("../helpers/validate");
+const express = require("express");
+const router = express.Router();
+
+// Request schemas, see helpers/validate.js
+const listQuery = {
+  ...pageQuery,
+  entity: { type: "string", description: "Comma-separated list of entities, e.g. Product,User" },
+  entityId: { type: "objectId" },
+  actor: { type: "objectId" },
+  action: { type: "string", description: "Comma-separated list of actions, e.g. product.update" },
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+/**
+ * @route   GET api/v1/audit
+ * @desc    Get a page of audit log entries with filtering
+ * @access  Private/Admin
+ * @query   {string} entity - Comma-separated list of entities, e.g. Product,User
+ * @query   {string} entityId - Changed document ID
+ * @query   {string} actor - ID of the user who made the changes
+ * @query   {string} action - Comma-separated list of actions, e.g. product.update
+ * @query   {string} from - Earliest date (ISO 8601)
+ * @query   {string} to - Latest date (ISO 8601)
+ * @query   {string} sort - Sort fields: date ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of entries, newest first, with the actors' names
+ */
+router.get(`/`, authorize("audit:read"), validate({ query: listQuery }), async (req, res) => {
+  const filter = {};
+  const entities = parseList(req.query.entity);
+  if (entities) {
+    filter.entity = { $in: entities };
+  }
+  if (req.query.entityId) {
+    filter.entityId = req.query.entityId;
+  }
+  if (req.query.actor) {
+    filter.actor = req.query.actor;
+  }
+  const actions = parseList(req.query.action);
+  if (actions) {
+    filter.action = { $in: actions };
+  }
+  const date = range(parseDate(req.query.from, "from"), parseDate(req.query.to, "to"));
+  if (date) {
+    filter.date = date;
+  }
+
+  const auditPage = await paginate(req, AuditLog, filter, {
+    sortFields: ["date"],
+    defaultSort: { date: -1 },
+    // Deleted users still show as the actors of their changes
+    prepare: (query) =>
+      query.populate({ path: "actor", select: "name email", options: { withDeleted: true } }),
+  });
+  res.send(auditPage);
+});
+
+module.exports = router;
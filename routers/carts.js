@@ -0,0 +1,197 @@
+const mongoose = require("mongoose");
+const { Cart } = require("../models/cart");
+const { authorize } = require("../helpers/authorize");
+const { recordAudit } = require("../helpers/audit");
+const { NotFoundError } = require("../helpers/errors");
+const authJwt = require("../helpers/jwt");
+const {
+  InvalidCartError,
+  checkoutCart,
+  findCart,
+  saveCart,
+  setItemQuantity,
+  mergeGuestCart,
+  priceCart,
+  guestTokenOf,
+} = require("../helpers/cart");
+const { validate } = require("../helpers/validate");
+const express = require("express");
+const router = express.Router();
+
+// Request schemas, see helpers/validate.js
+const addItemBody = {
+  product: { type: "objectId", required: true },
+  variant: { type: "objectId", nullable: true },
+  quantity: { type: "integer", min: 1 },
+};
+const lineParams = { productId: { type: "objectId", required: true } };
+const lineQuery = { variant: { type: "objectId" } };
+const quantityBody = { quantity: { type: "integer", required: true, min: 0 } };
+const checkoutBody = {
+  shippingAddress1: { type: "string", required: true, maxLength: 200 },
+  shippingAddress2: { type: "string", maxLength: 200 },
+  city: { type: "string", required: true, maxLength: 100 },
+  zip: { type: "string", required: true, maxLength: 20 },
+  country: { type: "string", required: true, maxLength: 100 },
+  region: { type: "string", maxLength: 100 },
+  phone: { type: "string", required: true, maxLength: 30 },
+  couponCodes: { type: "array", items: { type: "string" } },
+};
+
+// Carts work for guests too, so a token is optional here
+router.use(authJwt.optional());
+
+/**
+ * @route   GET api/v1/carts
+ * @desc    Get the caller's cart with live prices and stock
+ * @access  Public (user cart with a token, guest cart with X-Cart-Token)
+ * @returns {Object} Cart with priced items, subtotal and whether it can be checked out
+ */
+router.get(`/`, async (req, res) => {
+  const cart = await findCart(req);
+  if (!cart) {
+    return res.send({ items: [], subtotal: 0, valid: false });
+  }
+  res.send(await priceCart(cart));
+});
+
+/**
+ * @route   POST api/v1/carts/items
+ * @desc    Add a product to the cart, creating the cart if needed.
+ *          Guests receive the cart's `guestToken` to send as X-Cart-Token afterwards.
+ * @access  Public
+ * @body    {string} product - Product ID
+ * @body    {string} variant - Variant ID, required for products with variants
+ * @body    {number} quantity - Units to add (default 1)
+ * @returns {Object} Updated cart
+ */
+router.post(`/items`, validate({ body: addItemBody }), async (req, res) => {
+  const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new InvalidCartError("quantity must be a positive integer");
+  }
+
+  const cart = await findCart(req, { create: true });
+  const existing = cart.items.find(
+    (item) =>
+      item.product.toString() === String(req.body.product) &&
+      String(item.variant || "") === String(req.body.variant || "")
+  );
+  await setItemQuantity(
+    cart,
+    req.body.product,
+    (existing ? existing.quantity : 0) + quantity,
+    req.body.variant
+  );
+  await saveCart(cart);
+  res.status(201).send(await priceCart(cart));
+});
+
+/**
+ * @route   PUT api/v1/carts/items/:productId
+ * @desc    Set the quantity of a cart line, 0 removes it
+ * @access  Public
+ * @param   {string} productId - Product ID
+ * @query   {string} variant - Variant ID of the line, for products with variants
+ * @body    {number} quantity - New quantity
+ * @returns {Object} Updated cart
+ */
+router.put(`/items/:productId`, validate({ params: lineParams, query: lineQuery, body: quantityBody }), async (req, res) => {
+  const cart = await findCart(req);
+  if (!cart) {
+    throw new NotFoundError("Cart not found");
+  }
+  await setItemQuantity(cart, req.params.productId, Number(req.body.quantity), req.query.variant);
+  await saveCart(cart);
+  res.send(await priceCart(cart));
+});
+
+/**
+ * @route   DELETE api/v1/carts/items/:productId
+ * @desc    Remove a product from the cart
+ * @access  Public
+ * @param   {string} productId - Product ID
+ * @query   {string} variant - Variant ID of the line, for products with variants
+ * @returns {Object} Updated cart
+ */
+router.delete(`/items/:productId`, validate({ params: lineParams, query: lineQuery }), async (req, res) => {
+  const cart = await findCart(req);
+  if (!cart) {
+    throw new NotFoundError("Cart not found");
+  }
+  await setItemQuantity(cart, req.params.productId, 0, req.query.variant);
+  await saveCart(cart);
+  res.send(await priceCart(cart));
+});
+
+/**
+ * @route   DELETE api/v1/carts
+ * @desc    Empty the cart
+ * @access  Public
+ * @returns {Object} Success message
+ */
+router.delete(`/`, async (req, res) => {
+  const cart = await findCart(req);
+  if (cart) {
+    await Cart.deleteOne({ _id: cart._id });
+  }
+  res.status(200).json({ success: true, message: "Cart emptied successfully" });
+});
+
+/**
+ * @route   POST api/v1/carts/merge
+ * @desc    Merge the guest cart identified by X-Cart-Token into the user's cart
+ * @access  Private
+ * @returns {Object} Merged cart
+ */
+router.post(`/merge`, authorize("orders:create"), async (req, res) => {
+  await mergeGuestCart(req.auth.userId, guestTokenOf(req));
+  const cart = await findCart(req, { create: true });
+  res.send(await priceCart(cart));
+});
+
+/**
+ * @route   POST api/v1/carts/checkout
+ * @desc    Turn the user's cart into an order. Stock is checked and reserved
+ *          as for POST /orders; the cart is deleted in the same transaction
+ *          as the order is placed, so it cannot be checked out twice.
+ * @access  Private
+ * @body    {string} shippingAddress1 - Primary shipping address
+ * @body    {string} shippingAddress2 - Secondary shipping address
+ * @body    {string} city - City
+ * @body    {string} zip - ZIP/Postal code
+ * @body    {string} country - Country
+ * @body    {string} region - Region/state (optional)
+ * @body    {string} phone - Contact phone number
+ * @body    {Array} couponCodes - Coupon codes to apply
+ * @returns {Object} Created order
+ */
+router.post(`/checkout`, authorize("orders:create"), validate({ body: checkoutBody }), async (req, res) => {
+  const cart = await findCart(req);
+  if (!cart || cart.items.length === 0) {
+    throw new InvalidCartError("Cart is empty");
+  }
+
+  const orderFields = {
+    shippingAddress1: req.body.shippingAddress1,
+    shippingAddress2: req.body.shippingAddress2,
+    city: req.body.city,
+    zip: req.body.zip,
+    country: req.body.country,
+    region: req.body.region,
+    phone: req.body.phone,
+    user: req.auth.userId,
+  };
+  const order = await mongoose.connection.transaction(async (session) => {
+    const order = await checkoutCart(cart, orderFields, {
+      changedBy: req.auth.userId,
+      couponCodes: req.body.couponCodes,
+      session,
+    });
+    await recordAudit(req, { action: "order.create", entity: "Order", after: order, session });
+    return order;
+  });
+  res.status(201).json(order);
+});
+
+module.exports = router;
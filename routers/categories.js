@@ -1,21 +1,82 @@
+const mongoose = require("mongoose");
 const { Category } = require("../models/category");
+const authJwt = require("../helpers/jwt");
+const { authorize } = require("../helpers/authorize");
+const { auditSnapshot, recordAudit } = require("../helpers/audit");
+const { NotFoundError } = require("../helpers/errors");
+const {
+  assignSlug,
+  buildTree,
+  deleteCategory,
+  restoreCategory,
+  setParent,
+} = require("../helpers/categories");
+const { idParams, partial, validate } = require("../helpers/validate");
 const express = require("express");
 const router = express.Router();
 
+// Request schemas, see helpers/validate.js
+const categoryBody = {
+  name: { type: "string", required: true, maxLength: 100 },
+  slug: { type: "string", maxLength: 100 },
+  parent: { type: "objectId", nullable: true },
+  sortOrder: { type: "integer" },
+  icon: { type: "string" },
+  color: { type: "string" },
+  image: { type: "string" },
+};
+const deleteQuery = { reassignTo: { type: "objectId" } };
+
 /**
  * @route   GET api/v1/categories
- * @desc    Get all categories
+ * @desc    Get all categories as a flat list, ordered by sortOrder and name
  * @access  Public
  * @returns {Array} List of all categories
  */
 router.get(`/`, async (req, res) => {
+  const categoryList = await Category.find().sort({ sortOrder: 1, name: 1 });
+  res.status(200).send(categoryList);
+});
+
+/**
+ * @route   GET api/v1/categories/tree
+ * @desc    Get the category hierarchy. Every category has a `children` array,
+ *          siblings are ordered by sortOrder and name.
+ * @access  Public
+ * @returns {Array} Top-level categories with their nested children
+ */
+router.get(`/tree`, async (req, res) => {
   const categoryList = await Category.find();
-  if (!categoryList) {
-    return res.status(500).json({ success: false });
-  }
+  res.status(200).send(buildTree(categoryList));
+});
+
+/**
+ * @route   GET api/v1/categories/archived
+ * @desc    Get the deleted categories, most recently deleted first
+ * @access  Private/Admin
+ * @returns {Array} Deleted categories
+ */
+// GET category routes skip authentication, see helpers/jwt.js
+router.get(`/archived`, authJwt.optional(), authorize("archive:manage"), async (req, res) => {
+  const categoryList = await Category.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
   res.status(200).send(categoryList);
 });
 
+/**
+ * @route   GET api/v1/categories/slug/:slug
+ * @desc    Get a single category by its URL slug
+ * @access  Public
+ * @param   {string} slug - Category slug
+ * @returns {Object} Category data
+ */
+router.get(`/slug/:slug`, validate({ params: { slug: { type: "string", required: true } } }), async (req, res) => {
+  const category = await Category.findOne({ slug: req.params.slug.toLowerCase() });
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+  res.status(200).json({ category });
+});
+
 /**
  * @route   GET api/v1/categories/:id
  * @desc    Get a single category by ID
@@ -23,101 +84,145 @@ router.get(`/`, async (req, res) => {
  * @param   {string} id - Category ID
  * @returns {Object} Category data
  */
-router.get(`/:id`, async (req, res) => {
-  Category.findById(req.params.id)
-    .then((category) => {
-      if (category) {
-        return res.status(200).json({ category });
-      } else {
-        return res
-          .status(404)
-          .json({ success: false, message: "Category not found" });
-      }
-    })
-    .catch((err) => {
-      return res.status(500).json({ success: false, error: err.message });
-    });
+router.get(`/:id`, validate({ params: idParams }), async (req, res) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+  res.status(200).json({ category });
 });
 
 /**
  * @route   POST api/v1/categories
  * @desc    Create a new category
- * @access  Private/Admin
+ * @access  Private/Staff
  * @body    {string} name - Category name
+ * @body    {string} slug - URL slug (default: derived from the name)
+ * @body    {string} parent - Parent category ID (default: top level)
+ * @body    {number} sortOrder - Position among its siblings
  * @body    {string} icon - Category icon
  * @body    {string} color - Category color
  * @body    {string} image - Category image URL
  * @returns {Object} Created category
  */
-router.post(`/`, async (req, res) => {
+router.post(`/`, authorize("categories:write"), validate({ body: categoryBody }), async (req, res) => {
   let category = new Category({
     name: req.body.name,
+    sortOrder: req.body.sortOrder,
     icon: req.body.icon,
     color: req.body.color,
     image: req.body.image,
   });
+  await setParent(category, req.body.parent);
+  await assignSlug(category, req.body.slug);
   category = await category.save();
-
-  if (!category) {
-    return res.status(400).json({ success: false });
-  }
+  await recordAudit(req, { action: "category.create", entity: "Category", after: category });
   res.send(category);
 });
 
 /**
  * @route   PUT api/v1/categories/:id
- * @desc    Update a category
- * @access  Private/Admin
+ * @desc    Update a category; only the given fields change. Moving it to
+ *          another parent moves its whole subtree.
+ * @access  Private/Staff
  * @param   {string} id - Category ID
  * @body    {string} name - Category name
+ * @body    {string} slug - URL slug (renaming derives a new one unless given)
+ * @body    {string} parent - Parent category ID, null for top level
+ * @body    {number} sortOrder - Position among its siblings
  * @body    {string} icon - Category icon
  * @body    {string} color - Category color
  * @body    {string} image - Category image URL
  * @returns {Object} Updated category
  */
-router.put(`/:id`, async (req, res) => {
-  const category = await Category.findByIdAndUpdate(
-    req.params.id,
-    {
-      name: req.body.name,
-      icon: req.body.icon,
-      color: req.body.color,
-      image: req.body.image,
-    },
-    { new: true }
-  );
+router.put(`/:id`, authorize("categories:write"), validate({ params: idParams, body: partial(categoryBody) }), async (req, res) => {
+  // Moving rewrites the subtree, which must not stay behind when the update fails
+  const category = await mongoose.connection.transaction(async (session) => {
+    const category = await Category.findById(req.params.id).session(session);
+    if (!category) {
+      throw new NotFoundError("Category not found");
+    }
+    const before = auditSnapshot(category);
 
-  if (!category) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Category not found" });
-  }
+    ["name", "sortOrder", "icon", "color", "image"].forEach((field) => {
+      if (req.body[field] !== undefined) category.set(field, req.body[field]);
+    });
+    await assignSlug(category, req.body.slug, session);
+    if (req.body.parent !== undefined) {
+      await setParent(category, req.body.parent, session);
+    }
+    await category.save({ session });
+    await recordAudit(req, {
+      action: "category.update",
+      entity: "Category",
+      before,
+      after: category,
+      session,
+    });
+    return category;
+  });
   res.send(category);
 });
 
 /**
  * @route   DELETE api/v1/categories/:id
- * @desc    Delete a category
+ * @desc    Delete a category. A category with products or subcategories can
+ *          only be deleted with reassignTo, which receives both. Deleted
+ *          categories are archived and can be restored by an admin.
+ * @access  Private/Staff
+ * @param   {string} id - Category ID
+ * @query   {string} reassignTo - Category ID to move products and subcategories to
+ * @returns {Object} Success message, 409 if the category is in use
+ */
+router.delete("/:id", authorize("categories:write"), validate({ params: idParams, query: deleteQuery }), async (req, res) => {
+  const deleted = await mongoose.connection.transaction(async (session) => {
+    const result = await deleteCategory(req.params.id, req.query.reassignTo, { session });
+    if (result) {
+      const { category, ...moves } = result;
+      await recordAudit(req, {
+        action: "category.delete",
+        entity: "Category",
+        entityId: category._id,
+        before: { deletedAt: null },
+        // Deleted products move along, so productsMoved can exceed the listed count
+        after: { deletedAt: category.deletedAt, ...moves },
+        session,
+      });
+    }
+    return result;
+  });
+  if (!deleted) {
+    throw new NotFoundError("Category not found");
+  }
+  res.status(200).json({ success: true, message: "Category deleted successfully" });
+});
+
+/**
+ * @route   POST api/v1/categories/:id/restore
+ * @desc    Restore a deleted category under its parent
  * @access  Private/Admin
  * @param   {string} id - Category ID
- * @returns {Object} Success message
+ * @returns {Object} Restored category, 409 if its parent is deleted
  */
-router.delete("/:id", (req, res) => {
-  Category.findByIdAndDelete(req.params.id)
-    .then((category) => {
-      if (category) {
-        return res
-          .status(200)
-          .json({ success: true, message: "Category deleted successfully" });
-      } else {
-        return res
-          .status(404)
-          .json({ success: false, message: "Category not found" });
-      }
-    })
-    .catch((err) => {
-      return res.status(500).json({ success: false, error: err.message });
+router.post(`/:id/restore`, authorize("archive:manage"), validate({ params: idParams }), async (req, res) => {
+  const category = await mongoose.connection.transaction(async (session) => {
+    const category = await Category.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      .session(session);
+    if (!category) {
+      throw new NotFoundError("Deleted category not found");
+    }
+    const before = auditSnapshot(category);
+    await restoreCategory(category, { session });
+    await recordAudit(req, {
+      action: "category.restore",
+      entity: "Category",
+      before,
+      after: category,
+      session,
     });
+    return category;
+  });
+  res.send(category);
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,160 @@
+const { Coupon, COUPON_TYPES } = require("../models/coupon");
+const { authorize } = require("../helpers/authorize");
+const { auditSnapshot, recordAudit } = require("../helpers/audit");
+const { NotFoundError } = require("../helpers/errors");
+const { paginate, parseBoolean } = require("../helpers/list-query");
+const { idParams, pageQuery, partial, validate } = require("../helpers/validate");
+const express = require("express");
+const router = express.Router();
+
+// Request schemas, see helpers/validate.js
+const couponBody = {
+  code: { type: "string", required: true, maxLength: 50 },
+  description: { type: "string", maxLength: 500 },
+  type: { type: "string", required: true, enum: COUPON_TYPES },
+  value: { type: "number", min: 0 },
+  buyQuantity: { type: "integer", min: 1 },
+  getQuantity: { type: "integer", min: 1 },
+  products: { type: "array", items: { type: "objectId" } },
+  categories: { type: "array", items: { type: "objectId" } },
+  minOrderValue: { type: "number", min: 0 },
+  usageLimit: { type: "integer", min: 0 },
+  perUserLimit: { type: "integer", min: 0 },
+  startsAt: { type: "date", nullable: true },
+  expiresAt: { type: "date", nullable: true },
+  isActive: { type: "boolean" },
+};
+const listQuery = { ...pageQuery, isActive: { type: "boolean" } };
+
+/**
+ * Copy the coupon fields an admin may set from a request body
+ * @param {Object} body - Express req.body
+ * @returns {Object} Coupon fields, undefined for missing ones
+ */
+function couponFields(body) {
+  return {
+    code: body.code,
+    description: body.description,
+    type: body.type,
+    value: body.value,
+    buyQuantity: body.buyQuantity,
+    getQuantity: body.getQuantity,
+    products: body.products,
+    categories: body.categories,
+    minOrderValue: body.minOrderValue,
+    usageLimit: body.usageLimit,
+    perUserLimit: body.perUserLimit,
+    startsAt: body.startsAt,
+    expiresAt: body.expiresAt,
+    isActive: body.isActive,
+  };
+}
+
+/**
+ * @route   GET api/v1/coupons
+ * @desc    Get a page of coupons
+ * @access  Private/Admin
+ * @query   {boolean} isActive - Active status
+ * @query   {string} sort - Sort fields: code, dateCreated, expiresAt ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of coupons with total count and next/prev links
+ */
+router.get(`/`, authorize("coupons:read"), validate({ query: listQuery }), async (req, res) => {
+  const filter = {};
+  const isActive = parseBoolean(req.query.isActive, "isActive");
+  if (isActive !== undefined) {
+    filter.isActive = isActive;
+  }
+
+  const couponPage = await paginate(req, Coupon, filter, {
+    sortFields: ["code", "dateCreated", "expiresAt"],
+    defaultSort: { dateCreated: -1 },
+  });
+  res.send(couponPage);
+});
+
+/**
+ * @route   GET api/v1/coupons/:id
+ * @desc    Get a single coupon by ID
+ * @access  Private/Admin
+ * @param   {string} id - Coupon ID
+ * @returns {Object} Coupon data
+ */
+router.get(`/:id`, authorize("coupons:read"), validate({ params: idParams }), async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    throw new NotFoundError("Coupon not found");
+  }
+  res.send(coupon);
+});
+
+/**
+ * @route   POST api/v1/coupons
+ * @desc    Create a coupon
+ * @access  Private/Admin
+ * @body    {string} code - Code customers enter
+ * @body    {string} description - Description shown in the discount breakdown
+ * @body    {string} type - percentage, fixed, free_shipping or buy_x_get_y
+ * @body    {number} value - Percentage or amount off
+ * @body    {number} buyQuantity - Units to buy (buy_x_get_y)
+ * @body    {number} getQuantity - Free units (buy_x_get_y)
+ * @body    {Array} products - Product IDs the coupon is limited to
+ * @body    {Array} categories - Category IDs the coupon is limited to
+ * @body    {number} minOrderValue - Minimum order subtotal
+ * @body    {number} usageLimit - Total number of uses
+ * @body    {number} perUserLimit - Uses per user
+ * @body    {Date} startsAt - Start of validity
+ * @body    {Date} expiresAt - End of validity
+ * @body    {boolean} isActive - Active status
+ * @returns {Object} Created coupon
+ */
+router.post(`/`, authorize("coupons:write"), validate({ body: couponBody }), async (req, res) => {
+  let coupon = new Coupon(couponFields(req.body));
+  coupon = await coupon.save();
+  await recordAudit(req, { action: "coupon.create", entity: "Coupon", after: coupon });
+  res.status(201).send(coupon);
+});
+
+/**
+ * @route   PUT api/v1/coupons/:id
+ * @desc    Update a coupon; only the given fields change
+ * @access  Private/Admin
+ * @param   {string} id - Coupon ID
+ * @body    {Object} - Same fields as POST api/v1/coupons
+ * @returns {Object} Updated coupon
+ */
+router.put(`/:id`, authorize("coupons:write"), validate({ params: idParams, body: partial(couponBody) }), async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    throw new NotFoundError("Coupon not found");
+  }
+  const before = auditSnapshot(coupon);
+
+  // Load and save so the rule checks in the schema's validate hook run
+  const fields = couponFields(req.body);
+  Object.keys(fields).forEach((key) => {
+    if (fields[key] !== undefined) coupon.set(key, fields[key]);
+  });
+  await coupon.save();
+  await recordAudit(req, { action: "coupon.update", entity: "Coupon", before, after: coupon });
+  res.send(coupon);
+});
+
+/**
+ * @route   DELETE api/v1/coupons/:id
+ * @desc    Delete a coupon. Orders keep the codes and discounts they were placed with.
+ * @access  Private/Admin
+ * @param   {string} id - Coupon ID
+ * @returns {Object} Success message
+ */
+router.delete("/:id", authorize("coupons:write"), validate({ params: idParams }), async (req, res) => {
+  const coupon = await Coupon.findByIdAndDelete(req.params.id);
+  if (!coupon) {
+    throw new NotFoundError("Coupon not found");
+  }
+  await recordAudit(req, { action: "coupon.delete", entity: "Coupon", before: coupon });
+  res.status(200).json({ success: true, message: "Coupon deleted successfully" });
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const { Media } = require("../models/media");
+const { authorize } = require("../helpers/authorize");
+const { sweepMedia } = require("../helpers/media");
+const { recordAudit } = require("../helpers/audit");
+const { paginate, parseBoolean } = require("../helpers/list-query");
+const { pageQuery, validate } = require("../helpers/validate");
+const express = require("express");
+const router = express.Router();
+
+// Request schemas, see helpers/validate.js
+const listQuery = {
+  ...pageQuery,
+  referenced: { type: "boolean", description: "Only uploads with (true) or without (false) references" },
+};
+const sweepBody = { dryRun: { type: "boolean" } };
+
+/**
+ * @route   GET api/v1/media
+ * @desc    Get a page of uploaded files with their reference counts
+ * @access  Private/Admin
+ * @query   {boolean} referenced - Only uploads with (true) or without (false) references
+ * @query   {string} sort - Sort fields: dateCreated, size, refCount ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of uploads with total count and next/prev links
+ */
+router.get(`/`, authorize("media:manage"), validate({ query: listQuery }), async (req, res) => {
+  const filter = {};
+  const referenced = parseBoolean(req.query.referenced, "referenced");
+  if (referenced !== undefined) {
+    filter.refCount = referenced ? { $gt: 0 } : { $lte: 0 };
+  }
+
+  const mediaPage = await paginate(req, Media, filter, {
+    sortFields: ["dateCreated", "size", "refCount"],
+    defaultSort: { dateCreated: -1 },
+  });
+  res.send(mediaPage);
+});
+
+/**
+ * @route   POST api/v1/media/sweep
+ * @desc    Recount references, then delete uploads nothing references and
+ *          files in the upload folders that belong to no upload. Anything
+ *          younger than MEDIA_SWEEP_GRACE_MINUTES is kept.
+ * @access  Private/Admin
+ * @body    {boolean} dryRun - Only report what would be deleted
+ * @returns {Object} { dryRun, recounted, removedMedia, removedFiles }
+ */
+router.post(`/sweep`, authorize("media:manage"), validate({ body: sweepBody }), async (req, res) => {
+  const result = await sweepMedia({ dryRun: req.body.dryRun });
+  if (!result.dryRun) {
+    await recordAudit(req, { action: "media.sweep", entity: "Media", after: result });
+  }
+  res.status(200).json(result);
+});
+
+module.exports = router;
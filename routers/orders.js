@@ -1,54 +1,180 @@
-const { populate } = require("dotenv");
-const { Order } = require("../models/order");
-const { OrderItem } = require("../models/orderItem");
+const mongoose = require("mongoose");
+const { Order, ORDER_STATUS_TRANSITIONS } = require("../models/order");
+const { authorize, hasPermission } = require("../helpers/authorize");
+const { auditSnapshot, recordAudit } = require("../helpers/audit");
+const { ForbiddenError, NotFoundError } = require("../helpers/errors");
+const {
+  placeOrder,
+  quoteOrder,
+  changeOrderStatus,
+  deleteOrder,
+} = require("../helpers/order-placement");
+const { releaseMedia } = require("../helpers/media");
+const {
+  PaymentConflictError,
+  createPayment,
+  refundOrderPayments,
+  refundPayment,
+} = require("../helpers/payments");
+const { Payment } = require("../models/payment");
+const {
+  paginate,
+  parseDate,
+  parseList,
+  parseNumber,
+  range,
+} = require("../helpers/list-query");
+const { idParams, pageQuery, validate } = require("../helpers/validate");
 
 const express = require("express");
 const router = express.Router();
 
-router.get(`/`, async (req, res) => {
-  const orderList = await Order.find()
-    .populate("user", "name")
-    .populate({
-      path: "orderItems",
-      populate: {
-        path: "product",
-        populate: "category",
-      },
-    })
-    .sort({ dateOrdered: -1 });
-  if (!orderList) {
-    return res.status(500).json({ success: false });
+// Request schemas, see helpers/validate.js
+const orderStatusField = { type: "string", required: true, enum: Object.keys(ORDER_STATUS_TRANSITIONS) };
+const orderItemsField = {
+  type: "array",
+  required: true,
+  min: 1,
+  items: {
+    type: "object",
+    properties: {
+      product: { type: "objectId", required: true },
+      variant: { type: "objectId", nullable: true },
+      quantity: { type: "integer", required: true, min: 1 },
+    },
+  },
+};
+const couponCodesField = { type: "array", items: { type: "string" } };
+const placeOrderBody = {
+  orderItems: orderItemsField,
+  shippingAddress1: { type: "string", required: true, maxLength: 200 },
+  shippingAddress2: { type: "string", maxLength: 200 },
+  city: { type: "string", required: true, maxLength: 100 },
+  zip: { type: "string", required: true, maxLength: 20 },
+  country: { type: "string", required: true, maxLength: 100 },
+  region: { type: "string", maxLength: 100 },
+  phone: { type: "string", required: true, maxLength: 30 },
+  user: { type: "objectId" },
+  dateOrdered: { type: "date" },
+  couponCodes: couponCodesField,
+};
+const quoteBody = {
+  orderItems: orderItemsField,
+  country: { type: "string", required: true },
+  region: { type: "string" },
+  couponCodes: couponCodesField,
+};
+const statusBody = {
+  status: orderStatusField,
+  note: { type: "string", maxLength: 500 },
+};
+const payBody = { provider: { type: "string" } };
+const refundBody = {
+  amount: { type: "number", min: 0.01 },
+  reason: { type: "string", maxLength: 500 },
+};
+const listQuery = {
+  ...pageQuery,
+  status: { type: "string", description: "Comma-separated list of statuses" },
+  user: { type: "objectId" },
+  from: { type: "date" },
+  to: { type: "date" },
+  minTotal: { type: "number", min: 0 },
+  maxTotal: { type: "number", min: 0 },
+};
+
+/**
+ * Resolve the owner of the order addressed by req.params.id
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<mongoose.Types.ObjectId|undefined>} ID of the user who placed the order
+ */
+const orderOwner = async (req) => {
+  const order = await Order.findById(req.params.id).select("user");
+  return order ? order.user : undefined;
+};
+
+/**
+ * Populate options adding a user's name. Deleted users are included, so orders
+ * keep showing who placed or changed them.
+ * @param {string} path - Path of the user reference
+ * @returns {Object} Mongoose populate options
+ */
+const userName = (path) => ({ path, select: "name", options: { withDeleted: true } });
+
+/**
+ * @route   GET api/v1/orders
+ * @desc    Get a page of orders with filtering and sorting
+ * @access  Private/Staff
+ * @query   {string} status - Comma-separated list of statuses
+ * @query   {string} user - User ID
+ * @query   {string} from - Orders placed on or after this date
+ * @query   {string} to - Orders placed on or before this date
+ * @query   {number} minTotal - Minimum total price
+ * @query   {number} maxTotal - Maximum total price
+ * @query   {string} sort - Sort fields: dateOrdered, totalPrice, status ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of orders with total count and next/prev links
+ */
+router.get(`/`, authorize("orders:read"), validate({ query: listQuery }), async (req, res) => {
+  const filter = {};
+  const statuses = parseList(req.query.status);
+  if (statuses) {
+    filter.status = { $in: statuses };
+  }
+  if (req.query.user) {
+    filter.user = req.query.user;
   }
-  res.send(orderList);
+  const dateOrdered = range(
+    parseDate(req.query.from, "from"),
+    parseDate(req.query.to, "to")
+  );
+  if (dateOrdered) {
+    filter.dateOrdered = dateOrdered;
+  }
+  const totalPrice = range(
+    parseNumber(req.query.minTotal, "minTotal"),
+    parseNumber(req.query.maxTotal, "maxTotal")
+  );
+  if (totalPrice) {
+    filter.totalPrice = totalPrice;
+  }
+
+  const orderPage = await paginate(req, Order, filter, {
+    sortFields: ["dateOrdered", "totalPrice", "status"],
+    defaultSort: { dateOrdered: -1 },
+    prepare: (query) =>
+      query.populate(userName("user")).populate("orderItems"),
+  });
+  res.send(orderPage);
 });
 
-router.get(`/:id`, async (req, res) => {
+/**
+ * @route   GET api/v1/orders/:id
+ * @desc    Get a single order with its items and status history
+ * @access  Private/Staff or owner
+ * @param   {string} id - Order ID
+ * @returns {Object} Order data with order items as priced at purchase time;
+ *          statusHistory entries carry the name of who made each change
+ */
+router.get(`/:id`, authorize("orders:read", { owner: orderOwner }), validate({ params: idParams }), async (req, res) => {
   const order = await Order.findById(req.params.id)
-    .populate("user", "name")
-    .populate({
-      path: "orderItems",
-      populate: {
-        path: "product",
-        populate: "category",
-      },
-    });
+    .populate(userName("user"))
+    .populate(userName("statusHistory.changedBy"))
+    .populate("orderItems");
 
   if (!order) {
-    res.status(404).json({ success: false, message: "Order not found" });
+    throw new NotFoundError("Order not found");
   }
   res.send(order);
 });
 
-router.get(`/get/count`, async (req, res) => {
+router.get(`/get/count`, authorize("orders:read"), async (req, res) => {
   const orderCount = await Order.countDocuments();
-
-  if (!orderCount) {
-    res.status(500).json({ success: false, message: "Orders not found" });
-  }
   res.send({ count: orderCount });
 });
 
-router.get(`/get/totalsales`, async (req, res) => {
+router.get(`/get/totalsales`, authorize("orders:read"), async (req, res) => {
   const totalSales = await Order.aggregate([
     {
       $group: {
@@ -57,128 +183,232 @@ router.get(`/get/totalsales`, async (req, res) => {
       },
     },
   ]);
-
-  if (!totalSales) {
-    res
-      .status(500)
-      .json({ success: false, message: "The total sales cannot be generated" });
-  }
   res.send({ totalSales: totalSales });
 });
 
-router.get(`/get/status/:status`, async (req, res) => {
+router.get(`/get/status/:status`, authorize("orders:read"), validate({ params: { status: orderStatusField } }), async (req, res) => {
   const statusOrders = await Order.find({ status: req.params.status });
-
-  if (!statusOrders) {
-    res.status(500).json({
-      success: false,
-      message: `Orders with status ${req.params.status} not found`,
-    });
-  }
   res.send(statusOrders);
 });
 
-router.get(`/get/userorders/:userId`, async (req, res) => {
+const userOrdersOwner = (req) => req.params.userId;
+
+router.get(`/get/userorders/:userId`, authorize("orders:read", { owner: userOrdersOwner }), validate({ params: { userId: idParams.id } }), async (req, res) => {
   const userOrders = await Order.find({ user: req.params.userId })
-    .populate({
-      path: "orderItems",
-      populate: {
-        path: "product",
-        populate: "category",
-      },
-    })
+    .populate("orderItems")
     .sort({ dateOrdered: -1 });
-
-  if (!userOrders) {
-    res.status(500).json({
-      success: false,
-      message: `Orders of user ${req.params.userId} not found`,
-    });
-  }
   res.send(userOrders);
 });
 
-router.post(`/`, async (req, res) => {
-  // Use Promise.all to resolve all the promises from the map
-  const orderItemsPromises = req.body.orderItems.map(async (orderItem) => {
-    let newOrderItem = new OrderItem({
-      quantity: orderItem.quantity,
-      product: orderItem.product,
-    });
-    newOrderItem = await newOrderItem.save();
-    return newOrderItem._id;
-  });
-
-  // Wait for all promises to resolve
-  const orderItemIds = await Promise.all(orderItemsPromises);
-  const totalPrice = await Promise.all(
-    orderItemIds.map(async (orderItemId) => {
-      const orderItem = await OrderItem.findById(orderItemId).populate(
-        "product",
-        "price"
-      );
-      return orderItem.product.price * orderItem.quantity;
-    })
-  );
-  const totalPriceSum = totalPrice.reduce((acc, price) => acc + price, 0);
+/**
+ * @route   POST api/v1/orders
+ * @desc    Place an order. Runs in a transaction: every product must exist and
+ *          have enough stock, which is decremented; nothing is saved on failure.
+ *          New orders always start as Pending.
+ * @access  Private
+ * @body    {Array} orderItems - [{ product, variant, quantity }], variant is required for products with variants
+ * @body    {string} shippingAddress1 - Primary shipping address
+ * @body    {string} shippingAddress2 - Secondary shipping address
+ * @body    {string} city - City
+ * @body    {string} zip - ZIP/Postal code
+ * @body    {string} country - Country
+ * @body    {string} region - Region/state (optional, for regional tax rules)
+ * @body    {string} phone - Contact phone number
+ * @body    {string} user - User ID the order is placed for (staff only)
+ * @body    {Array} couponCodes - Coupon codes to apply
+ * @returns {Object} Created order with subtotal, discounts, shipping, tax and totalPrice
+ */
+router.post(`/`, authorize("orders:create"), validate({ body: placeOrderBody }), async (req, res) => {
+  // Customers can only place orders for themselves
+  const isStaff = hasPermission(req.auth, "orders:write");
 
-  let order = new Order({
-    orderItems: orderItemIds,
+  const orderFields = {
     shippingAddress1: req.body.shippingAddress1,
     shippingAddress2: req.body.shippingAddress2,
     city: req.body.city,
     zip: req.body.zip,
     country: req.body.country,
+    region: req.body.region,
     phone: req.body.phone,
-    status: req.body.status,
-    totalPrice: totalPriceSum,
-    user: req.body.user,
+    user: isStaff ? req.body.user : req.auth.userId,
     dateOrdered: req.body.dateOrdered,
-  });
-  order
-    .save()
-    .then((createdOrder) => {
-      res.status(201).json(createdOrder);
-    })
-    .catch((err) => {
-      res.status(500).json({ error: err.message, success: false });
+  };
+  const order = await mongoose.connection.transaction(async (session) => {
+    const order = await placeOrder(req.body.orderItems, orderFields, {
+      changedBy: req.auth.userId,
+      couponCodes: req.body.couponCodes,
+      session,
     });
+    await recordAudit(req, { action: "order.create", entity: "Order", after: order, session });
+    return order;
+  });
+  res.status(201).json(order);
 });
 
-router.put(`/:id`, async (req, res) => {
-  const order = await Order.findByIdAndUpdate(
-    req.params.id,
-    {
-      status: req.body.status,
-    },
-    { new: true }
+/**
+ * @route   POST api/v1/orders/quote
+ * @desc    Price an order without placing it: subtotal, discounts, shipping,
+ *          tax and grand total, computed exactly as POST /orders would
+ * @access  Private
+ * @body    {Array} orderItems - [{ product, variant, quantity }], variant is required for products with variants
+ * @body    {string} country - Country
+ * @body    {string} region - Region/state (optional)
+ * @body    {Array} couponCodes - Coupon codes to apply
+ * @returns {Object} Priced order items and the price breakdown
+ */
+router.post(`/quote`, authorize("orders:create"), validate({ body: quoteBody }), async (req, res) => {
+  const quote = await quoteOrder(
+    req.body.orderItems,
+    { country: req.body.country, region: req.body.region },
+    { couponCodes: req.body.couponCodes, user: req.auth.userId }
   );
+  res.send(quote);
+});
+
+/**
+ * @route   PUT api/v1/orders/:id
+ * @desc    Change the order status. Allowed: Pending → Paid → Shipped → Delivered,
+ *          and Cancelled from Pending or Paid (puts the stock back and refunds
+ *          the order's payments). The change is appended to the order's statusHistory.
+ * @access  Private/Staff, owners may only cancel
+ * @param   {string} id - Order ID
+ * @body    {string} status - New status
+ * @body    {string} note - Optional note stored in the history
+ * @returns {Object} Updated order, 409 if the transition is not allowed.
+ *          If a refund fails the order stays Cancelled; retry with POST /orders/:id/refund
+ */
+router.put(`/:id`, authorize("orders:write", { owner: orderOwner }), validate({ params: idParams, body: statusBody }), async (req, res) => {
+  // Owners without orders:write may only cancel their own order
+  if (!hasPermission(req.auth, "orders:write") && req.body.status !== "Cancelled") {
+    throw new ForbiddenError("Customers can only cancel orders");
+  }
 
+  const order = await mongoose.connection.transaction(async (session) => {
+    const before = await Order.findById(req.params.id).session(session);
+    const order = await changeOrderStatus(req.params.id, req.body.status, {
+      changedBy: req.auth.userId,
+      note: req.body.note,
+      session,
+    });
+    if (order) {
+      await recordAudit(req, {
+        action: "order.update_status",
+        entity: "Order",
+        before,
+        after: order,
+        session,
+      });
+    }
+    return order;
+  });
   if (!order) {
-    return res.status(400).json({ success: false, message: "Order not found" });
+    throw new NotFoundError("Order not found");
+  }
+
+  // Paid orders get their money back once the cancellation is saved
+  if (order.status === "Cancelled") {
+    const refunds = await refundOrderPayments(order._id, {
+      reason: req.body.note || "Order cancelled",
+      requestedBy: req.auth.userId,
+    });
+    for (const refund of refunds) {
+      await recordAudit(req, {
+        action: "payment.refund",
+        entity: "Payment",
+        before: refund.before,
+        after: refund.payment,
+      });
+    }
   }
   res.send(order);
 });
 
-router.delete("/:id", (req, res) => {
-  Order.findByIdAndDelete(req.params.id)
-    .then(async (order) => {
-      if (order) {
-        await order.orderItems.map(async (orderItem) => {
-          await OrderItem.findByIdAndDelete(orderItem);
-        });
-        return res
-          .status(200)
-          .json({ success: true, message: "Order deleted successfully" });
-      } else {
-        return res
-          .status(404)
-          .json({ success: false, message: "Order not found" });
-      }
-    })
-    .catch((err) => {
-      return res.status(500).json({ success: false, error: err.message });
-    });
+/**
+ * @route   POST api/v1/orders/:id/pay
+ * @desc    Start paying a Pending order: creates a payment intent with the
+ *          provider. The order becomes Paid once the provider's webhook confirms it.
+ * @access  Private/Staff, or the order's owner
+ * @param   {string} id - Order ID
+ * @body    {string} provider - Payment provider (default PAYMENT_PROVIDER)
+ * @returns {Object} Payment and the clientSecret to complete it with, 409 if the order is not Pending
+ */
+router.post(`/:id/pay`, authorize("orders:write", { owner: orderOwner }), validate({ params: idParams, body: payBody }), async (req, res) => {
+  const result = await createPayment(req.params.id, { provider: req.body.provider });
+  if (!result) {
+    throw new NotFoundError("Order not found");
+  }
+  await recordAudit(req, { action: "payment.create", entity: "Payment", after: result.payment });
+  res.status(201).json({ ...result.payment.toJSON(), clientSecret: result.clientSecret });
+});
+
+/**
+ * @route   GET api/v1/orders/:id/payments
+ * @desc    Get the payments of an order, newest first
+ * @access  Private/Staff, or the order's owner
+ * @param   {string} id - Order ID
+ * @returns {Array} Payments with their refunds
+ */
+router.get(`/:id/payments`, authorize("orders:read", { owner: orderOwner }), validate({ params: idParams }), async (req, res) => {
+  const paymentList = await Payment.find({ order: req.params.id }).sort({ dateCreated: -1 });
+  res.send(paymentList);
+});
+
+/**
+ * @route   POST api/v1/orders/:id/refund
+ * @desc    Refund the order's payment, fully or partially.
+ *          The order's status is not changed.
+ * @access  Private/Staff
+ * @param   {string} id - Order ID
+ * @body    {number} amount - Amount to refund (default: everything not refunded yet)
+ * @body    {string} reason - Reason for the refund
+ * @returns {Object} Updated payment, 409 if the order has no refundable payment
+ */
+router.post(`/:id/refund`, authorize("orders:write"), validate({ params: idParams, body: refundBody }), async (req, res) => {
+  const payment = await Payment.findOne({
+    order: req.params.id,
+    status: { $in: ["succeeded", "partially_refunded"] },
+  }).sort({ dateCreated: -1 });
+  if (!payment) {
+    throw new PaymentConflictError("Order has no refundable payment");
+  }
+  const before = auditSnapshot(payment);
+
+  const refunded = await refundPayment(payment, {
+    amount: req.body.amount,
+    reason: req.body.reason,
+    requestedBy: req.auth.userId,
+  });
+  await recordAudit(req, { action: "payment.refund", entity: "Payment", before, after: refunded });
+  res.send(refunded);
+});
+
+/**
+ * @route   DELETE api/v1/orders/:id
+ * @desc    Delete a Cancelled or Delivered order and its order items in one
+ *          transaction. Open orders must be cancelled first, which puts their
+ *          stock and coupon uses back.
+ * @access  Private/Admin
+ * @param   {string} id - Order ID
+ * @returns {Object} Success message, 409 if the order is not Cancelled or Delivered
+ */
+router.delete("/:id", authorize("orders:delete"), validate({ params: idParams }), async (req, res) => {
+  const deleted = await mongoose.connection.transaction(async (session) => {
+    const result = await deleteOrder(req.params.id, { session });
+    if (result) {
+      await recordAudit(req, {
+        action: "order.delete",
+        entity: "Order",
+        before: result.order,
+        session,
+      });
+    }
+    return result;
+  });
+  if (!deleted) {
+    throw new NotFoundError("Order not found");
+  }
+  await releaseMedia(deleted.orderItems.map((orderItem) => orderItem.image));
+  res.status(200).json({ success: true, message: "Order deleted successfully" });
 });
 
 module.exports = router;
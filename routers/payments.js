@@ -0,0 +1,28 @@
+const { recordAudit } = require("../helpers/audit");
+const { handleWebhook } = require("../helpers/payments");
+const { rateLimit } = require("../helpers/rate-limit");
+const { validate } = require("../helpers/validate");
+const express = require("express");
+const router = express.Router();
+
+// The body is checked by the provider's signature, not by a schema
+const webhookParams = { provider: { type: "string", required: true, pattern: "^[a-z0-9_-]+$" } };
+
+/**
+ * @route   POST api/v1/payments/webhooks/:provider
+ * @desc    Receive a payment provider's webhook. The signature is checked
+ *          against the raw request body; succeeded payments mark their order Paid.
+ * @access  Public (signed by the provider)
+ * @param   {string} provider - Provider name, e.g. mock
+ * @returns {Object} Acknowledgement, 400 if the signature is invalid
+ */
+router.post(`/webhooks/:provider`, rateLimit("webhooks"), validate({ params: webhookParams }), async (req, res) => {
+  const payment = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+  if (payment) {
+    // Webhooks have no actor; the entry records the payment's state after the event
+    await recordAudit(req, { action: "payment.webhook", entity: "Payment", after: payment });
+  }
+  res.status(200).json({ received: true });
+});
+
+module.exports = router;
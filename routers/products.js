@@ -1,71 +1,333 @@
 const { Product } = require("../models/product");
 const { Category } = require("../models/category");
+const { authorize } = require("../helpers/authorize");
+const { auditSnapshot, recordAudit } = require("../helpers/audit");
+const { ConflictError, NotFoundError, ValidationFailedError } = require("../helpers/errors");
+const { withDescendants } = require("../helpers/categories");
+const { imageUpload, storeImage } = require("../helpers/images");
+const { storageKeyOf } = require("../helpers/storage");
+const {
+  createMedia,
+  discardMedia,
+  productMediaKeys,
+  retainMedia,
+  syncProductMedia,
+} = require("../helpers/media");
+const authJwt = require("../helpers/jwt");
+const reviewsRouter = require("./reviews");
+const {
+  InvalidQueryError,
+  pageInfo,
+  paginate,
+  parseBoolean,
+  parseList,
+  parseNumber,
+  parsePage,
+  range,
+} = require("../helpers/list-query");
+const { idParams, pageQuery, partial, validate } = require("../helpers/validate");
 const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
-const multer = require("multer");
-
-const FILE_TYPE_MAP = {
-  "image/png": "png",
-  "image/jpeg": "jpg",
-  "image/jpg": "jpg",
-  "image/gif": "gif",
-  "image/webp": "webp",
-  "image/svg+xml": "svg",
-};
 
 /**
- * Storage configuration for multer middleware to handle file uploads.
- * 
- * @constant {Object} storage
- * @property {Function} destination - Function to determine the destination folder for uploaded files.
- *   Sets uploaded files to be stored in "./public/uploads" directory.
- * @property {Function} filename - Function to determine the filename for uploaded files.
- *   Generates a unique filename by combining the original filename, current timestamp, and appropriate file extension.
- *   Validates that the file mimetype matches one of the allowed image types defined in FILE_TYPE_MAP.
- *   Returns an error if the file type is invalid.
- * 
- * @requires multer
- * @requires FILE_TYPE_MAP - A mapping of MIME types to file extensions
+ * Store an uploaded product image and its renditions, and record the upload
+ * @param {Object} file - Multer file kept in memory
+ * @returns {Promise<Object>} Renditions entry of the product, `source` is the image's storage key
+ * @throws {InvalidImageError} If the file is not an accepted image
  */
-var storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "./public/uploads");
-  },
-  filename: function (req, file, cb) {
-    const fileName = file.originalname.split(".")[0];
-    const fileExtension = FILE_TYPE_MAP[file.mimetype];
-    if (!fileExtension) {
-      return cb(new Error("Invalid image type"), false);
+async function storeProductImage(file) {
+  const stored = await storeImage(file, "products");
+  await createMedia(stored);
+  return { source: stored.key, ...stored.renditions };
+}
+
+/**
+ * Save a product that shows images uploaded by this request. When the save
+ * fails the uploads are deleted again instead of waiting for the sweep.
+ * @param {Object} product - Product document
+ * @param {string[]} uploads - Storage keys of the images uploaded by this request
+ * @returns {Promise<Object>} Saved product
+ */
+async function saveWithUploads(product, uploads) {
+  try {
+    return await product.save();
+  } catch (err) {
+    await discardUploads(uploads);
+    throw err;
+  }
+}
+
+/**
+ * Delete images uploaded by a request that failed; the sweep removes what this misses
+ * @param {string[]} uploads - Storage keys of the uploaded images
+ * @returns {Promise<void>}
+ */
+async function discardUploads(uploads) {
+  try {
+    await discardMedia(uploads);
+  } catch (err) {
+    console.error("Could not delete uploads of a failed request:", err);
+  }
+}
+
+/**
+ * Store uploaded gallery images and set the alt text and captions sent with them
+ * @param {Object} product - Product document, its renditions and imageDetails are extended
+ * @param {Object[]} files - Multer files kept in memory
+ * @param {{alt: (string[]|undefined), caption: (string[]|undefined)}} body - Validated request body
+ * @returns {Promise<string[]>} Storage keys of the stored images, in upload order
+ * @throws {ValidationFailedError} If more alt texts or captions than images are sent
+ * @throws {InvalidImageError} If a file is not an accepted image
+ */
+async function storeGalleryImages(product, files, body) {
+  if (!files || files.length === 0) {
+    throw new ValidationFailedError("No images in the request", {
+      details: [{ location: "body", field: "images", message: "is required" }],
+    });
+  }
+  ["alt", "caption"].forEach((field) => {
+    if (body[field] && body[field].length > files.length) {
+      throw new ValidationFailedError(`More ${field} entries than images`, {
+        details: [{ location: "body", field, message: "must have at most one entry per image" }],
+      });
+    }
+  });
+
+  const sources = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const uploaded = await storeProductImage(file);
+      sources.push(uploaded.source);
+      product.renditions.push(uploaded);
+      product.setImageDetails(uploaded.source, {
+        alt: body.alt && body.alt[index],
+        caption: body.caption && body.caption[index],
+      });
     }
-    // Generate a unique filename using the original name and current timestamp
-    cb(null, fileName + "-" + Date.now() + "." + fileExtension);
+  } catch (err) {
+    // A later file was rejected, the ones stored before it are not kept either
+    await discardUploads(sources);
+    throw err;
+  }
+  return sources;
+}
+
+/**
+ * Load a product and check that its gallery has an image at an index
+ * @param {{id: string, index: string}} params - Express req.params
+ * @returns {Promise<{product: Object, index: number}>}
+ * @throws {NotFoundError} If the product or the gallery image does not exist
+ */
+async function findGalleryImage(params) {
+  const product = await Product.findById(params.id);
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  const index = Number(params.index);
+  if (index >= product.images.length) {
+    throw new NotFoundError("Gallery image not found");
+  }
+  return { product, index };
+}
+
+/**
+ * Image references sent by clients, with URLs of stored files turned back into
+ * their storage keys
+ * @param {string[]} [images] - Image URLs or keys
+ * @returns {string[]|undefined}
+ */
+function imageKeys(images) {
+  return Array.isArray(images) ? images.map(storageKeyOf) : images;
+}
+
+/**
+ * Lower bounds of the price ranges reported by search facets.
+ * Prices from the last bound upwards fall into one open-ended range.
+ * @constant {number[]}
+ */
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// Request schemas, see helpers/validate.js
+const productBody = {
+  name: { type: "string", required: true, maxLength: 200 },
+  description: { type: "string", required: true },
+  richDescription: { type: "string" },
+  images: { type: "array", items: { type: "string" } },
+  brand: { type: "string" },
+  price: { type: "number", min: 0 },
+  category: { type: "objectId", required: true },
+  countInStock: { type: "integer", min: 0 },
+  weight: { type: "number", min: 0 },
+  isFeatured: { type: "boolean" },
+  imageAlt: { type: "string", maxLength: 250, description: "Alt text of the main image" },
+  imageCaption: { type: "string", maxLength: 500, description: "Caption of the main image" },
+  options: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string", required: true },
+        values: { type: "array", required: true, min: 1, items: { type: "string" } },
+      },
+    },
   },
-});
-const uploadOptions = multer({ storage: storage });
+  variants: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        sku: { type: "string", required: true },
+        attributes: { type: "object" },
+        price: { type: "number", min: 0 },
+        weight: { type: "number", min: 0 },
+        countInStock: { type: "integer", required: true, min: 0, max: 255 },
+        images: { type: "array", items: { type: "string" } },
+      },
+    },
+  },
+};
+// PUT sets only the fields sent
+const productUpdateBody = partial(productBody);
+const filterQuery = {
+  categories: { type: "string", description: "Comma-separated list of category IDs" },
+  minPrice: { type: "number" },
+  maxPrice: { type: "number" },
+  brand: { type: "string", description: "Comma-separated list of brands" },
+  isFeatured: { type: "boolean" },
+  inStock: { type: "boolean" },
+  minRating: { type: "number", min: 0, max: 5 },
+};
+const listQuery = { ...pageQuery, ...filterQuery };
+const searchQuery = {
+  q: { type: "string", required: true, description: "Search keywords" },
+  page: pageQuery.page,
+  limit: pageQuery.limit,
+  ...filterQuery,
+};
+const featuredParams = { count: { type: "integer", required: true, min: 0 } };
+const galleryParams = { ...idParams, index: { type: "integer", required: true, min: 0 } };
+const imageDetailsBody = {
+  alt: { type: "string", maxLength: 250 },
+  caption: { type: "string", maxLength: 500 },
+};
+const galleryUploadBody = {
+  alt: {
+    type: "array",
+    items: imageDetailsBody.alt,
+    description: "Alt text of each uploaded image, in upload order",
+  },
+  caption: {
+    type: "array",
+    items: imageDetailsBody.caption,
+    description: "Caption of each uploaded image, in upload order",
+  },
+};
+const galleryOrderBody = {
+  order: {
+    type: "array",
+    required: true,
+    items: { type: "integer", min: 0 },
+    description: "Current gallery indexes in their new order",
+  },
+};
+
+/**
+ * Read the product options and variants from a request body.
+ * Multipart requests carry them as JSON strings.
+ * @param {Object} body - Express req.body
+ * @returns {{options: Array|undefined, variants: Array|undefined}|null} Parsed fields, null if malformed
+ */
+function variantFields(body) {
+  try {
+    const parse = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+    const variants = parse(body.variants);
+    if (Array.isArray(variants)) {
+      variants.forEach((variant) => {
+        if (variant && Array.isArray(variant.images)) variant.images = imageKeys(variant.images);
+      });
+    }
+    return { options: parse(body.options), variants };
+  } catch (err) {
+    return null;
+  }
+}
 
 /**
  * @swagger
  * /products:
  *   get:
  *     summary: Get all products
- *     description: Retrieve a list of all products with optional category filtering
+ *     description: Retrieve a paginated list of products with filtering and sorting
  *     tags: [Products]
  *     parameters:
  *       - in: query
  *         name: categories
  *         schema:
  *           type: string
- *         description: Comma-separated list of category IDs to filter products
+ *         description: Comma-separated list of category IDs to filter products, including their subcategories
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price (inclusive)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price (inclusive)
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of brands
+ *       - in: query
+ *         name: isFeatured
+ *         schema:
+ *           type: boolean
+ *         description: Only featured (true) or non-featured (false) products
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with countInStock above zero
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *         description: Minimum rating (inclusive)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -price,dateCreated
+ *         description: Comma-separated sort fields (price, rating, dateCreated, name), prefix with - for descending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Page size
  *     responses:
  *       200:
- *         description: A list of products
+ *         description: A page of products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               $ref: '#/components/schemas/ProductPage'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -75,24 +337,223 @@ const uploadOptions = multer({ storage: storage });
  */
 /**
  * @route   GET api/v1/products
- * @desc    Get all products with optional category filtering
+ * @desc    Get a page of products with filtering and sorting
  * @access  Public
- * @query   {string} categories - Comma-separated list of category IDs
- * @returns {Array} List of products
+ * @query   {string} categories - Comma-separated list of category IDs, subcategories included
+ * @query   {number} minPrice - Minimum price
+ * @query   {number} maxPrice - Maximum price
+ * @query   {string} brand - Comma-separated list of brands
+ * @query   {boolean} isFeatured - Featured status
+ * @query   {boolean} inStock - Only products in stock
+ * @query   {number} minRating - Minimum rating
+ * @query   {string} sort - Sort fields: price, rating, dateCreated, name ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of products with total count and next/prev links
  */
-router.get(`/`, async (req, res) => {
-  let filter = {};
-  if (req.query.categories) {
-    filter = { category: req.query.categories.split(",") };
-  }
+router.get(`/`, validate({ query: listQuery }), async (req, res) => {
+  const productPage = await paginate(req, Product, await buildProductFilter(req.query), {
+    sortFields: ["price", "rating", "dateCreated", "name"],
+    defaultSort: { dateCreated: -1 },
+    prepare: (query) => query.populate("category"),
+  });
+  res.send(productPage);
+});
 
-  const productList = await Product.find(filter).populate("category");
-  if (!productList) {
-    return res.status(500).json({ success: false });
+/**
+ * @route   GET api/v1/products/archived
+ * @desc    Get a page of deleted products
+ * @access  Private/Admin
+ * @query   {string} sort - Sort fields: deletedAt, name ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of deleted products, most recently deleted first
+ */
+// GET product routes skip authentication, see helpers/jwt.js
+router.get(`/archived`, authJwt.optional(), authorize("archive:manage"), validate({ query: pageQuery }), async (req, res) => {
+  const productPage = await paginate(req, Product, { deletedAt: { $ne: null } }, {
+    sortFields: ["deletedAt", "name"],
+    defaultSort: { deletedAt: -1 },
+    prepare: (query) => query.populate({ path: "category", options: { withDeleted: true } }),
+  });
+  res.send(productPage);
+});
+
+/**
+ * @swagger
+ * /products/search:
+ *   get:
+ *     summary: Search products
+ *     description: Full-text search ranked by relevance, with facet counts by category, brand and price range
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search keywords
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Page size
+ *     responses:
+ *       200:
+ *         description: A page of hits and facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductSearchResult'
+ *       400:
+ *         description: Missing or invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @route   GET api/v1/products/search
+ * @desc    Full-text search over name, description, richDescription and brand,
+ *          ranked by relevance, with facet counts for filter sidebars.
+ *          Accepts the same filters and page/limit parameters as GET /products.
+ * @access  Public
+ * @query   {string} q - Search keywords (required)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of hits with a relevance `score`, plus `facets`
+ *          ({ categories, brands, priceRanges }) computed over all matches
+ */
+router.get(`/search`, validate({ query: searchQuery }), async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!q) {
+    throw new InvalidQueryError("q is required");
   }
-  res.send(productList);
+  const { page, limit, skip } = parsePage(req);
+  const match = { $text: { $search: q }, ...(await buildProductFilter(req.query)) };
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: "textScore" } } },
+    {
+      $facet: {
+        hits: [{ $sort: { score: -1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: "count" }],
+        categories: [
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "category",
+            },
+          },
+          { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } },
+          { $project: { _id: 0, id: "$_id", name: "$category.name", count: 1 } },
+          { $sort: { count: -1, name: 1 } },
+        ],
+        brands: [
+          { $match: { brand: { $nin: ["", null] } } },
+          { $group: { _id: "$brand", count: { $sum: 1 } } },
+          { $project: { _id: 0, brand: "$_id", count: 1 } },
+          { $sort: { count: -1, brand: 1 } },
+        ],
+        priceRanges: [
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: PRICE_BUCKETS,
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  // Hydrate hits so they serialize like every other product response
+  const hits = await Product.populate(
+    result.hits.map((hit) => Product.hydrate(hit)),
+    "category"
+  );
+  const total = result.total.length ? result.total[0].count : 0;
+
+  res.send({
+    data: hits.map((hit, i) => ({ ...hit.toJSON(), score: result.hits[i].score })),
+    ...pageInfo(req, total, page, limit),
+    facets: {
+      categories: result.categories,
+      brands: result.brands,
+      priceRanges: result.priceRanges.map(priceRange),
+    },
+  });
 });
 
+/**
+ * Build the Mongoose filter shared by product listing and search.
+ * A category filter matches products in the categories and all their descendants.
+ * @param {Object} query - Express req.query
+ * @returns {Promise<Object>} Mongoose filter
+ * @throws {InvalidQueryError} If a filter value is malformed
+ */
+async function buildProductFilter(query) {
+  const filter = {};
+  const categories = parseList(query.categories);
+  if (categories) {
+    if (!categories.every((id) => mongoose.isValidObjectId(id))) {
+      throw new InvalidQueryError("categories must be a list of category IDs");
+    }
+    // ObjectIds, aggregation pipelines are not cast by Mongoose
+    filter.category = { $in: await withDescendants(categories) };
+  }
+  const price = range(
+    parseNumber(query.minPrice, "minPrice"),
+    parseNumber(query.maxPrice, "maxPrice")
+  );
+  if (price) {
+    filter.price = price;
+  }
+  const brands = parseList(query.brand);
+  if (brands) {
+    filter.brand = { $in: brands };
+  }
+  const isFeatured = parseBoolean(query.isFeatured, "isFeatured");
+  if (isFeatured !== undefined) {
+    filter.isFeatured = isFeatured;
+  }
+  if (parseBoolean(query.inStock, "inStock")) {
+    filter.countInStock = { $gt: 0 };
+  }
+  const minRating = parseNumber(query.minRating, "minRating");
+  if (minRating !== undefined) {
+    filter.rating = { $gte: minRating };
+  }
+  return filter;
+}
+
+/**
+ * Convert a $bucket result into a { min, max, count } price range
+ * @param {Object} bucket - $bucket output, _id is the lower bound or "other"
+ * @returns {Object} Price range; max is null for the open-ended top range
+ */
+function priceRange(bucket) {
+  if (bucket._id === "other") {
+    return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count };
+  }
+  const index = PRICE_BUCKETS.indexOf(bucket._id);
+  return { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+}
+
 /**
  * @swagger
  * /products/{id}:
@@ -124,11 +585,11 @@ router.get(`/`, async (req, res) => {
  * @param   {string} id - Product ID
  * @returns {Object} Product data with populated category
  */
-router.get(`/:id`, async (req, res) => {
+router.get(`/:id`, validate({ params: idParams }), async (req, res) => {
   const product = await Product.findById(req.params.id).populate("category");
 
   if (!product) {
-    res.status(404).json({ success: false, message: "Product not found" });
+    throw new NotFoundError("Product not found");
   }
   res.send(product);
 });
@@ -136,15 +597,11 @@ router.get(`/:id`, async (req, res) => {
 /**
  * @route   GET api/v1/products/get/count
  * @desc    Get total count of products
- * @access  Private/Admin
+ * @access  Private/Staff
  * @returns {Object} Count of products
  */
-router.get(`/get/count`, async (req, res) => {
+router.get(`/get/count`, authJwt.optional(), authorize("products:write"), async (req, res) => {
   const productCount = await Product.countDocuments();
-
-  if (!productCount) {
-    res.status(500).json({ success: false, message: "Products not found" });
-  }
   res.send({ count: productCount });
 });
 
@@ -155,48 +612,58 @@ router.get(`/get/count`, async (req, res) => {
  * @param   {number} count - Number of featured products to return
  * @returns {Array} Featured products
  */
-router.get(`/get/featured/:count`, async (req, res) => {
+router.get(`/get/featured/:count`, validate({ params: featuredParams }), async (req, res) => {
   const count = req.params.count ? req.params.count : 0;
   const featuredProducts = await Product.find({ isFeatured: true }).limit(
     +count
   );
-
-  if (!featuredProducts) {
-    res.status(500).json({ success: false, message: "Products not found" });
-  }
   res.send(featuredProducts);
 });
 
 /**
  * @route   POST api/v1/products
  * @desc    Create a new product
- * @access  Private/Admin
+ * @access  Private/Staff
  * @body    {string} name - Product name
  * @body    {string} description - Product description
  * @body    {string} richDescription - Detailed product description
- * @body    {string} image - Main product image URL
+ * @body    {File} image - Main product image: JPEG, PNG, GIF or WebP (SVG is rejected)
  * @body    {Array} images - Additional product images URLs
  * @body    {string} brand - Product brand
  * @body    {number} price - Product price
  * @body    {string} category - Category ID
  * @body    {number} countInStock - Available quantity
- * @body    {number} rating - Product rating
+ * @body    {number} weight - Shipping weight in kilograms
  * @body    {boolean} isFeatured - Featured status
- * @returns {Object} Created product
+ * @body    {string} imageAlt - Alt text of the main image
+ * @body    {string} imageCaption - Caption of the main image
+ * @body    {Array} options - Options such as size or color: [{ name, values }]
+ * @body    {Array} variants - [{ sku, attributes, price, weight, countInStock, images }],
+ *          one value per option in attributes; countInStock becomes their total
+ * @returns {Object} Created product, with the image's WebP renditions in renditions.
+ *          400 INVALID_IMAGE if the file is not an accepted image
  */
-router.post(`/`, uploadOptions.single("image"), async (req, res) => {
+router.post(`/`, authorize("products:write"), imageUpload.single("image"), validate({ body: productBody, multipart: true, files: { image: "Product image" } }), async (req, res) => {
   // Validate that the category exists
   const category = await Category.findById(req.body.category);
   if (!category) {
-    return res.status(400).send("Invalid Category");
+    throw new ValidationFailedError("Invalid category", {
+      details: [{ location: "body", field: "category", message: "does not exist" }],
+    });
   }
 
   const file = req.file;
   if (!file) {
-    return res.status(400).send("No image in the request");
+    throw new ValidationFailedError("No image in the request", {
+      details: [{ location: "body", field: "image", message: "is required" }],
+    });
+  }
+
+  const variants = variantFields(req.body);
+  if (!variants) {
+    throw new ValidationFailedError("Invalid options or variants");
   }
-  const fileName = req.file ? req.file.filename : null;
-  const basePath = `${req.protocol}://${req.get("host")}/public/uploads/`;
+  const uploaded = await storeProductImage(file);
 
   /**
    * Creates a new Product instance with data from the request body.
@@ -205,132 +672,163 @@ router.post(`/`, uploadOptions.single("image"), async (req, res) => {
    * @param {string} req.body.name - The name of the product
    * @param {string} req.body.description - Brief description of the product
    * @param {string} req.body.richDescription - Detailed description of the product
-   * @param {string} fileName - The name of the uploaded image file
-   * @param {string} basePath - The base path for the image URL
-   * @param {string[]} req.body.images - Array of additional product image URLs
+   * @param {Object} uploaded - The stored image: its storage key (source) and rendition keys
+   * @param {string[]} req.body.images - Array of additional product image URLs or storage keys
    * @param {string} req.body.brand - The brand name of the product
    * @param {number} req.body.price - The price of the product
    * @param {string|ObjectId} req.body.category - Reference to the product category
    * @param {number} req.body.countInStock - Available quantity in stock
-   * @param {number} req.body.rating - Product rating value
+   * @param {number} req.body.weight - Shipping weight in kilograms
    * @param {boolean} req.body.isFeatured - Indicates if product is featured
+   * @param {Array} variants.options - Product options, e.g. [{ name: "Size", values: ["S", "M"] }]
+   * @param {Array} variants.variants - Variants with sku, attributes, price, countInStock and images
    * @returns {Product} New product instance ready to be saved to the database
    */
   let product = new Product({
     name: req.body.name,
     description: req.body.description,
     richDescription: req.body.richDescription,
-    image: `${basePath}${fileName}`,
-    images: req.body.images,
+    image: uploaded.source,
+    images: imageKeys(req.body.images),
+    renditions: [uploaded],
     brand: req.body.brand,
     price: req.body.price,
     category: req.body.category,
     countInStock: req.body.countInStock,
-    rating: req.body.rating,
+    weight: req.body.weight,
     isFeatured: req.body.isFeatured,
+    options: variants.options,
+    variants: variants.variants,
   });
-  product = await product.save();
-  if (!product) {
-    return res
-      .status(500)
-      .json({ success: false, message: "Product not created" });
-  }
+  product.setImageDetails(uploaded.source, { alt: req.body.imageAlt, caption: req.body.imageCaption });
+  product = await saveWithUploads(product, [uploaded.source]);
+  await retainMedia(productMediaKeys(product));
+  await recordAudit(req, { action: "product.create", entity: "Product", after: product });
   res.send(product);
 });
 
 /**
  * @route   DELETE api/v1/products/:id
- * @desc    Delete a product
- * @access  Private/Admin
+ * @desc    Delete a product. It is archived: hidden from the catalogue and carts,
+ *          kept for past orders, and restorable by an admin.
+ * @access  Private/Staff
  * @param   {string} id - Product ID
  * @returns {Object} Success message
  */
-router.delete("/:id", (req, res) => {
-  Product.findByIdAndDelete(req.params.id)
-    .then((product) => {
-      if (product) {
-        return res
-          .status(200)
-          .json({ success: true, message: "Product deleted successfully" });
-      } else {
-        return res
-          .status(404)
-          .json({ success: false, message: "Product not found" });
-      }
-    })
-    .catch((err) => {
-      return res.status(500).json({ success: false, error: err.message });
+router.delete("/:id", authorize("products:write"), validate({ params: idParams }), async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  const before = auditSnapshot(product);
+  // Archived products keep their images for a restore
+  await product.softDelete();
+  await recordAudit(req, { action: "product.delete", entity: "Product", before, after: product });
+  res.status(200).json({ success: true, message: "Product deleted successfully" });
+});
+
+/**
+ * @route   POST api/v1/products/:id/restore
+ * @desc    Restore a deleted product
+ * @access  Private/Admin
+ * @param   {string} id - Product ID
+ * @returns {Object} Restored product, 409 if its category is deleted
+ */
+router.post(`/:id/restore`, authorize("archive:manage"), validate({ params: idParams }), async (req, res) => {
+  const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!product) {
+    throw new NotFoundError("Deleted product not found");
+  }
+  if (!(await Category.exists({ _id: product.category }))) {
+    throw new ConflictError("The product's category is deleted, restore the category first", {
+      code: "CATEGORY_DELETED",
     });
+  }
+  const before = auditSnapshot(product);
+  await product.restore();
+  await recordAudit(req, { action: "product.restore", entity: "Product", before, after: product });
+  res.send(product);
 });
 
 /**
  * @route   PUT api/v1/products/:id
  * @desc    Update a product
- * @access  Private/Admin
+ * @access  Private/Staff
  * @param   {string} id - Product ID
  * @body    {string} name - Product name
  * @body    {string} description - Product description
  * @body    {string} richDescription - Detailed product description
- * @body    {string} image - Main product image URL
+ * @body    {File} image - New main product image (optional): JPEG, PNG, GIF or WebP
  * @body    {Array} images - Additional product images URLs
  * @body    {string} brand - Product brand
  * @body    {number} price - Product price
- * @body    {string} category - Category ID
+ * @body    {string} category - Category ID, checked to exist when sent
  * @body    {number} countInStock - Available quantity
- * @body    {number} rating - Product rating
+ * @body    {number} weight - Shipping weight in kilograms
  * @body    {boolean} isFeatured - Featured status
- * @returns {Object} Updated product
+ * @body    {string} imageAlt - Alt text of the main image
+ * @body    {string} imageCaption - Caption of the main image
+ * @body    {Array} options - Options such as size or color: [{ name, values }]
+ * @body    {Array} variants - [{ sku, attributes, price, weight, countInStock, images }],
+ *          one value per option in attributes; countInStock becomes their total
+ * @returns {Object} Updated product, 400 INVALID_IMAGE if the file is not an accepted image
  */
-router.put(`/:id`, uploadOptions.single("image"), async (req, res) => {
-  if (!mongoose.isValidObjectId(req.params.id)) {
-    return res.status(400).send("Invalid Product ID");
-  }
-
-  // Validate that the category exists
-  const category = await Category.findById(req.body.category);
-  if (!category) {
-    return res.status(400).send("Invalid Category");
+router.put(`/:id`, authorize("products:write"), imageUpload.single("image"), validate({ params: idParams, body: productUpdateBody, multipart: true, files: { image: "New product image" } }), async (req, res) => {
+  // Validate that a new category exists
+  if (req.body.category !== undefined && !(await Category.exists({ _id: req.body.category }))) {
+    throw new ValidationFailedError("Invalid category", {
+      details: [{ location: "body", field: "category", message: "does not exist" }],
+    });
   }
 
-  // Validate that the category exists
-  let product = await Product.findById(req.params.id);
+  const product = await Product.findById(req.params.id);
   if (!product) {
-    return res.status(400).send("Invalid Product");
+    throw new NotFoundError("Product not found");
   }
+  const before = auditSnapshot(product);
+  const previousMedia = productMediaKeys(product);
 
-  const file = req.file;
-  let imagePath;
-  if (file) {
-    const fileName = req.file ? req.file.filename : null;
-    const basePath = `${req.protocol}://${req.get("host")}/public/uploads/`;
-    imagePath = `${basePath}${fileName}`;
-  } else {
-    imagePath = product.image;
+  const variants = variantFields(req.body);
+  if (!variants) {
+    throw new ValidationFailedError("Invalid options or variants");
   }
 
-  product = await Product.findByIdAndUpdate(
-    req.params.id,
-    {
-      name: req.body.name,
-      description: req.body.description,
-      richDescription: req.body.richDescription,
-      image: imagePath,
-      images: req.body.images,
-      brand: req.body.brand,
-      price: req.body.price,
-      category: req.body.category,
-      countInStock: req.body.countInStock,
-      rating: req.body.rating,
-      isFeatured: req.body.isFeatured,
-    },
-    { new: true }
-  );
+  let imagePath = product.image;
+  const uploads = [];
+  if (req.file) {
+    const uploaded = await storeProductImage(req.file);
+    product.renditions.push(uploaded);
+    imagePath = uploaded.source;
+    uploads.push(uploaded.source);
+  }
 
-  if (!product) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Product not found" });
+  // rating and numReviews are computed from reviews
+  const fields = {
+    name: req.body.name,
+    description: req.body.description,
+    richDescription: req.body.richDescription,
+    image: imagePath,
+    images: imageKeys(req.body.images),
+    brand: req.body.brand,
+    price: req.body.price,
+    category: req.body.category,
+    countInStock: req.body.countInStock,
+    weight: req.body.weight,
+    isFeatured: req.body.isFeatured,
+    options: variants.options,
+    variants: variants.variants,
+  };
+  // Load and save so the variant checks and stock total in the schema's validate hook run
+  Object.keys(fields).forEach((key) => {
+    if (fields[key] !== undefined) product.set(key, fields[key]);
+  });
+  if (product.image && (req.body.imageAlt !== undefined || req.body.imageCaption !== undefined)) {
+    product.setImageDetails(product.image, { alt: req.body.imageAlt, caption: req.body.imageCaption });
   }
+  await saveWithUploads(product, uploads);
+  // Replaced images no other product or order shows are deleted
+  await syncProductMedia(previousMedia, product);
+  await recordAudit(req, { action: "product.update", entity: "Product", before, after: product });
   res.send(product);
 });
 
@@ -339,7 +837,10 @@ router.put(`/:id`, uploadOptions.single("image"), async (req, res) => {
  * /products/gallery-images/{id}:
  *   put:
  *     summary: Update product gallery
- *     description: Upload multiple images to a product's gallery
+ *     description: Replace a product's gallery with uploaded images. Each image is
+ *       checked by its contents, re-encoded without metadata and stored with WebP
+ *       renditions (see the product's renditions). To change single images use
+ *       the /products/{id}/gallery endpoints.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -364,6 +865,16 @@ router.put(`/:id`, uploadOptions.single("image"), async (req, res) => {
  *                   type: string
  *                   format: binary
  *                 description: Gallery images (up to 10)
+ *               alt:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Alt text of each image, in upload order
+ *               caption:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Caption of each image, in upload order
  *     responses:
  *       200:
  *         description: Updated product with gallery
@@ -380,36 +891,183 @@ router.put(`/:id`, uploadOptions.single("image"), async (req, res) => {
  */
 router.put(
   `/gallery-images/:id`,
-  uploadOptions.array("images", 10),
+  authorize("products:write"),
+  imageUpload.array("images", 10),
+  validate({ params: idParams, body: galleryUploadBody, multipart: true }),
   async (req, res) => {
-    if (!mongoose.isValidObjectId(req.params.id)) {
-      return res.status(400).send("Invalid Product ID");
-    }
-
-    const files = req.files;
-
-    if (!files || files.length === 0) {
-      return res.status(400).send("No images in the request");
-    }
-    const basePath = `${req.protocol}://${req.get("host")}/public/uploads/`;
-    const imagePaths = files.map((file) => `${basePath}${file.filename}`);
-    console.log
-
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      {
-        images: imagePaths,
-      },
-      { new: true }
-    );
-
+    const product = await Product.findById(req.params.id);
     if (!product) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Product not found" });
+      throw new NotFoundError("Product not found");
     }
+    const before = auditSnapshot(product);
+    const previousMedia = productMediaKeys(product);
+
+    product.images = await storeGalleryImages(product, req.files, req.body);
+    await saveWithUploads(product, product.images);
+    await syncProductMedia(previousMedia, product);
+    await recordAudit(req, {
+      action: "product.replace_gallery",
+      entity: "Product",
+      before,
+      after: product,
+    });
     res.send(product);
   }
 );
 
+/**
+ * @route   POST api/v1/products/:id/gallery
+ * @desc    Append uploaded images to a product's gallery
+ * @access  Private/Staff
+ * @param   {string} id - Product ID
+ * @body    {File[]} images - Images to append (up to 10): JPEG, PNG, GIF or WebP
+ * @body    {Array} alt - Alt text of each image, in upload order
+ * @body    {Array} caption - Caption of each image, in upload order
+ * @returns {Object} Updated product, 400 INVALID_IMAGE if a file is not an accepted image
+ */
+router.post(`/:id/gallery`, authorize("products:write"), imageUpload.array("images", 10), validate({ params: idParams, body: galleryUploadBody, multipart: true, files: { images: "Images to append (up to 10)" } }), async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  const before = auditSnapshot(product);
+  const previousMedia = productMediaKeys(product);
+
+  const uploads = await storeGalleryImages(product, req.files, req.body);
+  product.images.push(...uploads);
+  await saveWithUploads(product, uploads);
+  await syncProductMedia(previousMedia, product);
+  await recordAudit(req, {
+    action: "product.append_gallery",
+    entity: "Product",
+    before,
+    after: product,
+  });
+  res.send(product);
+});
+
+/**
+ * @route   PUT api/v1/products/:id/gallery
+ * @desc    Reorder a product's gallery
+ * @access  Private/Staff
+ * @param   {string} id - Product ID
+ * @body    {Array} order - Every current gallery index once, in the new order,
+ *          e.g. [2, 0, 1] moves the last of three images to the front
+ * @returns {Object} Updated product
+ */
+router.put(`/:id/gallery`, authorize("products:write"), validate({ params: idParams, body: galleryOrderBody }), async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+
+  const before = auditSnapshot(product);
+  const { order } = req.body;
+  const count = product.images.length;
+  if (order.length !== count || new Set(order).size !== count || order.some((index) => index >= count)) {
+    throw new ValidationFailedError("Invalid gallery order", {
+      details: [
+        {
+          location: "body",
+          field: "order",
+          message: `must list every index from 0 to ${count - 1} once`,
+        },
+      ],
+    });
+  }
+  product.images = order.map((index) => product.images[index]);
+  await product.save();
+  await recordAudit(req, {
+    action: "product.reorder_gallery",
+    entity: "Product",
+    before,
+    after: product,
+  });
+  res.send(product);
+});
+
+/**
+ * @route   PUT api/v1/products/:id/gallery/:index
+ * @desc    Set the alt text and caption of a gallery image
+ * @access  Private/Staff
+ * @param   {string} id - Product ID
+ * @param   {number} index - Position of the image in the gallery, from 0
+ * @body    {string} alt - Alt text, empty to remove it
+ * @body    {string} caption - Caption, empty to remove it
+ * @returns {Object} Updated product
+ */
+router.put(`/:id/gallery/:index`, authorize("products:write"), validate({ params: galleryParams, body: imageDetailsBody }), async (req, res) => {
+  const { product, index } = await findGalleryImage(req.params);
+  const before = auditSnapshot(product);
+  product.setImageDetails(product.images[index], { alt: req.body.alt, caption: req.body.caption });
+  await product.save();
+  await recordAudit(req, {
+    action: "product.update_image_details",
+    entity: "Product",
+    before,
+    after: product,
+  });
+  res.send(product);
+});
+
+/**
+ * @route   DELETE api/v1/products/:id/gallery/:index
+ * @desc    Remove an image from a product's gallery
+ * @access  Private/Staff
+ * @param   {string} id - Product ID
+ * @param   {number} index - Position of the image in the gallery, from 0
+ * @returns {Object} Updated product
+ */
+router.delete(`/:id/gallery/:index`, authorize("products:write"), validate({ params: galleryParams }), async (req, res) => {
+  const { product, index } = await findGalleryImage(req.params);
+  const before = auditSnapshot(product);
+  const previousMedia = productMediaKeys(product);
+
+  product.images.splice(index, 1);
+  await product.save();
+  // The file is deleted unless another product or an order shows it
+  await syncProductMedia(previousMedia, product);
+  await recordAudit(req, {
+    action: "product.remove_gallery_image",
+    entity: "Product",
+    before,
+    after: product,
+  });
+  res.send(product);
+});
+
+/**
+ * @route   POST api/v1/products/:id/gallery/:index/promote
+ * @desc    Make a gallery image the product's main image
+ * @access  Private/Staff
+ * @param   {string} id - Product ID
+ * @param   {number} index - Position of the image in the gallery, from 0
+ * @returns {Object} Updated product; the previous main image takes the promoted
+ *          image's place in the gallery
+ */
+router.post(`/:id/gallery/:index/promote`, authorize("products:write"), validate({ params: galleryParams }), async (req, res) => {
+  const { product, index } = await findGalleryImage(req.params);
+  const before = auditSnapshot(product);
+
+  const promoted = product.images[index];
+  if (product.image) {
+    product.images.splice(index, 1, product.image);
+  } else {
+    product.images.splice(index, 1);
+  }
+  // Renditions and text are looked up by source, so they follow the images
+  product.image = promoted;
+  await product.save();
+  await recordAudit(req, {
+    action: "product.promote_gallery_image",
+    entity: "Product",
+    before,
+    after: product,
+  });
+  res.send(product);
+});
+
+// Product reviews: /products/:id/reviews
+router.use(`/:id/reviews`, reviewsRouter);
+
 module.exports = router;
@@ -0,0 +1,189 @@
+const { Review, REVIEW_STATUSES } = require("../models/review");
+const { Product } = require("../models/product");
+const { authorize, hasPermission, isOwner } = require("../helpers/authorize");
+const { auditSnapshot, recordAudit } = require("../helpers/audit");
+const { ConflictError, ForbiddenError, NotFoundError } = require("../helpers/errors");
+const { hasPurchased, refreshProductRating } = require("../helpers/reviews");
+const { paginate, parseNumber } = require("../helpers/list-query");
+const { idParams, pageQuery, validate } = require("../helpers/validate");
+const authJwt = require("../helpers/jwt");
+const express = require("express");
+
+// Mounted under /products/:id/reviews, req.params.id is the product
+const router = express.Router({ mergeParams: true });
+
+// Where the products router mounts this router, for the Swagger route generator
+router.mountPath = "/products/:id/reviews";
+
+// Request schemas, see helpers/validate.js
+const reviewParams = { ...idParams, reviewId: idParams.id };
+const listQuery = {
+  ...pageQuery,
+  rating: { type: "integer", min: 1, max: 5 },
+  status: { type: "string", enum: REVIEW_STATUSES, description: "Moderators only" },
+};
+const reviewBody = {
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  title: { type: "string", maxLength: 120 },
+  comment: { type: "string", maxLength: 5000 },
+};
+const updateBody = {
+  rating: { type: "integer", min: 1, max: 5 },
+  title: { type: "string", maxLength: 120 },
+  comment: { type: "string", maxLength: 5000 },
+  status: { type: "string", enum: REVIEW_STATUSES },
+  moderationNote: { type: "string", maxLength: 500 },
+};
+
+/**
+ * Resolve the author of the review addressed by req.params.reviewId
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<mongoose.Types.ObjectId|undefined>} ID of the review's author
+ */
+const reviewOwner = async (req) => {
+  const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id }).select(
+    "user"
+  );
+  return review ? review.user : undefined;
+};
+
+/**
+ * @route   GET api/v1/products/:id/reviews
+ * @desc    Get a page of a product's published reviews.
+ *          Moderators may pass status=hidden to see hidden reviews.
+ * @access  Public
+ * @param   {string} id - Product ID
+ * @query   {number} rating - Only reviews with this many stars
+ * @query   {string} status - published (default) or hidden, moderators only
+ * @query   {string} sort - Sort fields: dateCreated, rating ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of reviews with their authors' names
+ */
+router.get(`/`, authJwt.optional(), validate({ params: idParams, query: listQuery }), async (req, res) => {
+  const filter = { product: req.params.id, status: "published" };
+  if (req.query.status && hasPermission(req.auth, "reviews:moderate")) {
+    filter.status = req.query.status;
+  }
+  const rating = parseNumber(req.query.rating, "rating");
+  if (rating !== undefined) {
+    filter.rating = rating;
+  }
+
+  const reviewPage = await paginate(req, Review, filter, {
+    sortFields: ["dateCreated", "rating"],
+    defaultSort: { dateCreated: -1 },
+    prepare: (query) => query.populate("user", "name"),
+  });
+  res.send(reviewPage);
+});
+
+/**
+ * @route   POST api/v1/products/:id/reviews
+ * @desc    Review a product. Only customers who bought it (a Paid, Shipped or
+ *          Delivered order) can review it, once.
+ * @access  Private
+ * @param   {string} id - Product ID
+ * @body    {number} rating - 1 to 5 stars
+ * @body    {string} title - Short summary
+ * @body    {string} comment - Review text
+ * @returns {Object} Created review, 403 without a purchase, 409 if already reviewed
+ */
+router.post(`/`, authorize("reviews:create"), validate({ params: idParams, body: reviewBody }), async (req, res) => {
+  const product = await Product.findById(req.params.id).select("_id");
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  if (!(await hasPurchased(req.auth.userId, product._id))) {
+    throw new ForbiddenError("Only customers who bought this product can review it", {
+      code: "PURCHASE_REQUIRED",
+    });
+  }
+  if (await Review.exists({ product: product._id, user: req.auth.userId })) {
+    throw new ConflictError("You have already reviewed this product", { code: "ALREADY_REVIEWED" });
+  }
+
+  let review = new Review({
+    product: product._id,
+    user: req.auth.userId,
+    rating: req.body.rating,
+    title: req.body.title,
+    comment: req.body.comment,
+  });
+  review = await review.save();
+  await refreshProductRating(product._id);
+  await recordAudit(req, { action: "review.create", entity: "Review", after: review });
+  res.status(201).send(review);
+});
+
+/**
+ * @route   PUT api/v1/products/:id/reviews/:reviewId
+ * @desc    Edit a review. Authors may change its rating, title and comment;
+ *          moderators may hide or publish it.
+ * @access  Private/Admin, or the review's author
+ * @param   {string} id - Product ID
+ * @param   {string} reviewId - Review ID
+ * @body    {number} rating - 1 to 5 stars (author)
+ * @body    {string} title - Short summary (author)
+ * @body    {string} comment - Review text (author)
+ * @body    {string} status - published or hidden (moderator)
+ * @body    {string} moderationNote - Reason for the status change (moderator)
+ * @returns {Object} Updated review
+ */
+router.put(
+  `/:reviewId`,
+  authorize("reviews:moderate", { owner: reviewOwner }),
+  validate({ params: reviewParams, body: updateBody }),
+  async (req, res) => {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+    if (!review) {
+      throw new NotFoundError("Review not found");
+    }
+    const before = auditSnapshot(review);
+
+    if (isOwner(req.auth, review.user)) {
+      ["rating", "title", "comment"].forEach((field) => {
+        if (req.body[field] !== undefined) review.set(field, req.body[field]);
+      });
+      review.dateUpdated = new Date();
+    }
+    if (hasPermission(req.auth, "reviews:moderate") && req.body.status !== undefined) {
+      review.status = req.body.status;
+      review.moderationNote = req.body.moderationNote;
+      review.moderatedBy = req.auth.userId;
+    }
+
+    await review.save();
+    await refreshProductRating(review.product);
+    await recordAudit(req, { action: "review.update", entity: "Review", before, after: review });
+    res.send(review);
+  }
+);
+
+/**
+ * @route   DELETE api/v1/products/:id/reviews/:reviewId
+ * @desc    Delete a review
+ * @access  Private/Admin, or the review's author
+ * @param   {string} id - Product ID
+ * @param   {string} reviewId - Review ID
+ * @returns {Object} Success message
+ */
+router.delete(
+  `/:reviewId`,
+  authorize("reviews:moderate", { owner: reviewOwner }),
+  validate({ params: reviewParams }),
+  async (req, res) => {
+    const review = await Review.findOneAndDelete({
+      _id: req.params.reviewId,
+      product: req.params.id,
+    });
+    if (!review) {
+      throw new NotFoundError("Review not found");
+    }
+    await refreshProductRating(review.product);
+    await recordAudit(req, { action: "review.delete", entity: "Review", before: review });
+    res.status(200).json({ success: true, message: "Review deleted successfully" });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const { ShippingZone, SHIPPING_RATE_TYPES } = require("../models/shippingZone");
+const { authorize } = require("../helpers/authorize");
+const { recordAudit } = require("../helpers/audit");
+const { NotFoundError } = require("../helpers/errors");
+const { idParams, partial, validate } = require("../helpers/validate");
+const express = require("express");
+const router = express.Router();
+
+// Request schemas, see helpers/validate.js
+const zoneBody = {
+  name: { type: "string", required: true, maxLength: 100 },
+  countries: { type: "array", items: { type: "string", minLength: 2, maxLength: 2 } },
+  rateType: { type: "string", enum: SHIPPING_RATE_TYPES },
+  flatRate: { type: "number", min: 0 },
+  baseRate: { type: "number", min: 0 },
+  perKgRate: { type: "number", min: 0 },
+  freeOver: { type: "number", min: 0, nullable: true },
+  isActive: { type: "boolean" },
+};
+
+/**
+ * Copy the shipping zone fields an admin may set from a request body
+ * @param {Object} body - Express req.body
+ * @returns {Object} Shipping zone fields, undefined for missing ones
+ */
+function zoneFields(body) {
+  return {
+    name: body.name,
+    countries: body.countries,
+    rateType: body.rateType,
+    flatRate: body.flatRate,
+    baseRate: body.baseRate,
+    perKgRate: body.perKgRate,
+    freeOver: body.freeOver,
+    isActive: body.isActive,
+  };
+}
+
+/**
+ * @route   GET api/v1/shippingZones
+ * @desc    Get all shipping zones
+ * @access  Private/Admin
+ * @returns {Array} List of shipping zones
+ */
+router.get(`/`, authorize("pricing:write"), async (req, res) => {
+  const zoneList = await ShippingZone.find().sort({ name: 1 });
+  res.send(zoneList);
+});
+
+/**
+ * @route   GET api/v1/shippingZones/:id
+ * @desc    Get a single shipping zone by ID
+ * @access  Private/Admin
+ * @param   {string} id - Shipping zone ID
+ * @returns {Object} Shipping zone data
+ */
+router.get(`/:id`, authorize("pricing:write"), validate({ params: idParams }), async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+  if (!zone) {
+    throw new NotFoundError("Shipping zone not found");
+  }
+  res.send(zone);
+});
+
+/**
+ * @route   POST api/v1/shippingZones
+ * @desc    Create a shipping zone
+ * @access  Private/Admin
+ * @body    {string} name - Zone name
+ * @body    {Array} countries - Countries in the zone, empty for the fallback zone
+ * @body    {string} rateType - flat or weight
+ * @body    {number} flatRate - Cost per order (flat)
+ * @body    {number} baseRate - Base cost (weight)
+ * @body    {number} perKgRate - Cost per kilogram (weight)
+ * @body    {number} freeOver - Free shipping from this discounted subtotal upwards
+ * @body    {boolean} isActive - Active status
+ * @returns {Object} Created shipping zone
+ */
+router.post(`/`, authorize("pricing:write"), validate({ body: zoneBody }), async (req, res) => {
+  let zone = new ShippingZone(zoneFields(req.body));
+  zone = await zone.save();
+  await recordAudit(req, { action: "shippingZone.create", entity: "ShippingZone", after: zone });
+  res.status(201).send(zone);
+});
+
+/**
+ * @route   PUT api/v1/shippingZones/:id
+ * @desc    Update a shipping zone; only the given fields change
+ * @access  Private/Admin
+ * @param   {string} id - Shipping zone ID
+ * @body    {Object} - Same fields as POST api/v1/shippingZones
+ * @returns {Object} Updated shipping zone
+ */
+router.put(`/:id`, authorize("pricing:write"), validate({ params: idParams, body: partial(zoneBody) }), async (req, res) => {
+  const before = await ShippingZone.findById(req.params.id);
+  if (!before) {
+    throw new NotFoundError("Shipping zone not found");
+  }
+  const zone = await ShippingZone.findByIdAndUpdate(req.params.id, zoneFields(req.body), {
+    new: true,
+    runValidators: true,
+  });
+  if (!zone) {
+    throw new NotFoundError("Shipping zone not found");
+  }
+  await recordAudit(req, {
+    action: "shippingZone.update",
+    entity: "ShippingZone",
+    before,
+    after: zone,
+  });
+  res.send(zone);
+});
+
+/**
+ * @route   DELETE api/v1/shippingZones/:id
+ * @desc    Delete a shipping zone
+ * @access  Private/Admin
+ * @param   {string} id - Shipping zone ID
+ * @returns {Object} Success message
+ */
+router.delete("/:id", authorize("pricing:write"), validate({ params: idParams }), async (req, res) => {
+  const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+  if (!zone) {
+    throw new NotFoundError("Shipping zone not found");
+  }
+  await recordAudit(req, { action: "shippingZone.delete", entity: "ShippingZone", before: zone });
+  res.status(200).json({ success: true, message: "Shipping zone deleted successfully" });
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const { TaxRule } = require("../models/taxRule");
+const { authorize } = require("../helpers/authorize");
+const { recordAudit } = require("../helpers/audit");
+const { NotFoundError } = require("../helpers/errors");
+const { idParams, partial, validate } = require("../helpers/validate");
+const express = require("express");
+const router = express.Router();
+
+// Request schemas, see helpers/validate.js
+const taxRuleBody = {
+  name: { type: "string", required: true, maxLength: 100 },
+  country: { type: "string", required: true, minLength: 2, maxLength: 2 },
+  region: { type: "string", maxLength: 100 },
+  rate: { type: "number", required: true, min: 0, max: 100 },
+  appliesToShipping: { type: "boolean" },
+  isActive: { type: "boolean" },
+};
+
+/**
+ * Copy the tax rule fields an admin may set from a request body
+ * @param {Object} body - Express req.body
+ * @returns {Object} Tax rule fields, undefined for missing ones
+ */
+function taxRuleFields(body) {
+  return {
+    name: body.name,
+    country: body.country,
+    region: body.region,
+    rate: body.rate,
+    appliesToShipping: body.appliesToShipping,
+    isActive: body.isActive,
+  };
+}
+
+/**
+ * @route   GET api/v1/taxRules
+ * @desc    Get all tax rules
+ * @access  Private/Admin
+ * @returns {Array} List of tax rules
+ */
+router.get(`/`, authorize("pricing:write"), async (req, res) => {
+  const taxRuleList = await TaxRule.find().sort({ country: 1, region: 1 });
+  res.send(taxRuleList);
+});
+
+/**
+ * @route   GET api/v1/taxRules/:id
+ * @desc    Get a single tax rule by ID
+ * @access  Private/Admin
+ * @param   {string} id - Tax rule ID
+ * @returns {Object} Tax rule data
+ */
+router.get(`/:id`, authorize("pricing:write"), validate({ params: idParams }), async (req, res) => {
+  const taxRule = await TaxRule.findById(req.params.id);
+  if (!taxRule) {
+    throw new NotFoundError("Tax rule not found");
+  }
+  res.send(taxRule);
+});
+
+/**
+ * @route   POST api/v1/taxRules
+ * @desc    Create a tax rule
+ * @access  Private/Admin
+ * @body    {string} name - Rule name, e.g. "VAT"
+ * @body    {string} country - Country
+ * @body    {string} region - Region/state, empty for the whole country
+ * @body    {number} rate - Tax rate in percent
+ * @body    {boolean} appliesToShipping - Whether shipping is taxed too
+ * @body    {boolean} isActive - Active status
+ * @returns {Object} Created tax rule
+ */
+router.post(`/`, authorize("pricing:write"), validate({ body: taxRuleBody }), async (req, res) => {
+  let taxRule = new TaxRule(taxRuleFields(req.body));
+  taxRule = await taxRule.save();
+  await recordAudit(req, { action: "taxRule.create", entity: "TaxRule", after: taxRule });
+  res.status(201).send(taxRule);
+});
+
+/**
+ * @route   PUT api/v1/taxRules/:id
+ * @desc    Update a tax rule; only the given fields change
+ * @access  Private/Admin
+ * @param   {string} id - Tax rule ID
+ * @body    {Object} - Same fields as POST api/v1/taxRules
+ * @returns {Object} Updated tax rule
+ */
+router.put(`/:id`, authorize("pricing:write"), validate({ params: idParams, body: partial(taxRuleBody) }), async (req, res) => {
+  const before = await TaxRule.findById(req.params.id);
+  if (!before) {
+    throw new NotFoundError("Tax rule not found");
+  }
+  const taxRule = await TaxRule.findByIdAndUpdate(req.params.id, taxRuleFields(req.body), {
+    new: true,
+    runValidators: true,
+  });
+  if (!taxRule) {
+    throw new NotFoundError("Tax rule not found");
+  }
+  await recordAudit(req, { action: "taxRule.update", entity: "TaxRule", before, after: taxRule });
+  res.send(taxRule);
+});
+
+/**
+ * @route   DELETE api/v1/taxRules/:id
+ * @desc    Delete a tax rule
+ * @access  Private/Admin
+ * @param   {string} id - Tax rule ID
+ * @returns {Object} Success message
+ */
+router.delete("/:id", authorize("pricing:write"), validate({ params: idParams }), async (req, res) => {
+  const taxRule = await TaxRule.findByIdAndDelete(req.params.id);
+  if (!taxRule) {
+    throw new NotFoundError("Tax rule not found");
+  }
+  await recordAudit(req, { action: "taxRule.delete", entity: "TaxRule", before: taxRule });
+  res.status(200).json({ success: true, message: "Tax rule deleted successfully" });
+});
+
+module.exports = router;
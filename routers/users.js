@@ -1,59 +1,196 @@
-const { User } = require("../models/user");
+const { User, normalizeEmail } = require("../models/user");
+const { authorize, hasPermission, isOwner } = require("../helpers/authorize");
+const { paginate, parseBoolean, parseList } = require("../helpers/list-query");
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserSessions,
+} = require("../helpers/tokens");
+const { mergeGuestCart, guestTokenOf } = require("../helpers/cart");
+const {
+  requestEmailVerification,
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  verifyEmail,
+} = require("../helpers/account");
+const { ROLES } = require("../helpers/authorize");
+const { auditSnapshot, recordAudit } = require("../helpers/audit");
+const {
+  assertLoginAllowed,
+  clearLoginFailures,
+  rateLimit,
+  recordLoginFailure,
+} = require("../helpers/rate-limit");
+const {
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../helpers/errors");
+const { idParams, pageQuery, partial, validate } = require("../helpers/validate");
+
+// Request schemas, see helpers/validate.js
+const registerBody = {
+  name: { type: "string", required: true, maxLength: 100 },
+  email: { type: "string", format: "email", required: true },
+  password: { type: "string", required: true, minLength: 8, maxLength: 128 },
+  phone: { type: "string", required: true, maxLength: 30 },
+  street: { type: "string", maxLength: 200 },
+  apartment: { type: "string", maxLength: 50 },
+  zip: { type: "string", maxLength: 20 },
+  city: { type: "string", maxLength: 100 },
+  country: { type: "string", maxLength: 100 },
+};
+const { password, ...profileFields } = registerBody;
+const updateBody = {
+  ...partial(profileFields),
+  role: { type: "string", enum: ROLES },
+  isAdmin: { type: "boolean" },
+  isActive: { type: "boolean" },
+};
+const loginBody = {
+  email: { type: "string", required: true },
+  password: { type: "string", required: true },
+  cartToken: { type: "string" },
+};
+const refreshBody = { refreshToken: { type: "string", required: true } };
+const tokenBody = { token: { type: "string", required: true } };
+const emailBody = { email: { type: "string", format: "email", required: true } };
+const resetPasswordBody = { token: tokenBody.token, password };
+const changePasswordBody = {
+  currentPassword: { type: "string", required: true },
+  newPassword: password,
+};
+const logoutBody = { refreshToken: { type: "string" }, all: { type: "boolean" } };
+const listQuery = {
+  ...pageQuery,
+  role: { type: "string", description: "Comma-separated list of roles" },
+  isActive: { type: "boolean" },
+  country: { type: "string", description: "Comma-separated list of countries" },
+};
+
+/**
+ * The user record addressed by req.params.id is owned by that user
+ * @param {import('express').Request} req - Express request object
+ * @returns {string} User ID
+ */
+const userOwner = (req) => req.params.id;
+
+/**
+ * Fail when another account already uses an email address. Deleted accounts
+ * keep their address, so restoring them cannot clash.
+ * The unique index on User.email still catches concurrent registrations.
+ * @param {string} email - Email address
+ * @param {string} [exceptId] - User allowed to have the address
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If the address is taken (409 EMAIL_IN_USE)
+ */
+async function assertEmailAvailable(email, exceptId) {
+  const filter = { email: normalizeEmail(email) };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+  if (await User.exists(filter).setOptions({ withDeleted: true })) {
+    throw new ConflictError("Email address is already in use", { code: "EMAIL_IN_USE" });
+  }
+}
+
+/**
+ * Hash compared against when the email has no account, so failed logins take
+ * as long whether or not the address is registered
+ * @constant {string}
+ */
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-password", 10);
+
+/**
+ * Body fields only admins may set on a user
+ * @constant {string[]}
+ */
+const PRIVILEGED_FIELDS = ["role", "isAdmin", "isActive"];
 
 /**
  * @route   GET api/v1/users
- * @desc    Get all users (excluding password data)
- * @access  Private/Admin
- * @returns {Array} List of users
+ * @desc    Get a page of users (excluding password data) with filtering and sorting
+ * @access  Private/Staff
+ * @query   {string} role - Comma-separated list of roles
+ * @query   {boolean} isActive - Account status
+ * @query   {string} country - Comma-separated list of countries
+ * @query   {string} sort - Sort fields: name, email, country ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of users with total count and next/prev links
  */
-router.get(`/`, async (req, res) => {
-  const userList = await User.find().select("-passwordHash");
-  if (!userList) {
-    return res.status(500).json({ success: false });
+router.get(`/`, authorize("users:read"), validate({ query: listQuery }), async (req, res) => {
+  const filter = {};
+  const roles = parseList(req.query.role);
+  if (roles) {
+    filter.role = { $in: roles };
   }
-  res.send(userList);
+  const isActive = parseBoolean(req.query.isActive, "isActive");
+  if (isActive !== undefined) {
+    filter.isActive = isActive;
+  }
+  const countries = parseList(req.query.country);
+  if (countries) {
+    filter.country = { $in: countries };
+  }
+
+  const userPage = await paginate(req, User, filter, {
+    sortFields: ["name", "email", "country"],
+    defaultSort: { name: 1 },
+    prepare: (query) => query.select("-passwordHash"),
+  });
+  res.send(userPage);
+});
+
+/**
+ * @route   GET api/v1/users/archived
+ * @desc    Get a page of deleted users (excluding password data)
+ * @access  Private/Admin
+ * @query   {string} sort - Sort fields: deletedAt, name, email ("-" for descending)
+ * @query   {number} page - Page number (default 1)
+ * @query   {number} limit - Page size (default 20, max 100)
+ * @returns {Object} Page of deleted users, most recently deleted first
+ */
+router.get(`/archived`, authorize("archive:manage"), validate({ query: pageQuery }), async (req, res) => {
+  const userPage = await paginate(req, User, { deletedAt: { $ne: null } }, {
+    sortFields: ["deletedAt", "name", "email"],
+    defaultSort: { deletedAt: -1 },
+    prepare: (query) => query.select("-passwordHash"),
+  });
+  res.send(userPage);
 });
 
 /**
  * @route   GET api/v1/users/:id
  * @desc    Get a single user by ID
- * @access  Private/Admin
+ * @access  Private/Staff or owner
  * @param   {string} id - User ID
  * @returns {Object} User data (excluding password)
  */
-router.get(`/:id`, async (req, res) => {
-  User.findById(req.params.id)
-    .select("-passwordHash")
-    .then((user) => {
-      if (user) {
-        return res.status(200).json({ user });
-      } else {
-        return res
-          .status(404)
-          .json({ success: false, message: "User not found" });
-      }
-    })
-    .catch((err) => {
-      return res.status(500).json({ success: false, error: err.message });
-    });
+router.get(`/:id`, authorize("users:read", { owner: userOwner }), validate({ params: idParams }), async (req, res) => {
+  const user = await User.findById(req.params.id).select("-passwordHash");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  res.status(200).json({ user });
 });
 
 /**
  * @route   GET api/v1/users/get/count
  * @desc    Get total count of users
- * @access  Private/Admin
+ * @access  Private/Staff
  * @returns {Object} Count of users
  */
-router.get(`/get/count`, async (req, res) => {
+router.get(`/get/count`, authorize("users:read"), async (req, res) => {
   const userCount = await User.countDocuments();
-
-  if (!userCount) {
-    res.status(500).json({ success: false, message: "Users not found" });
-  }
   res.send({ count: userCount });
 });
 
@@ -70,9 +207,10 @@ router.get(`/get/count`, async (req, res) => {
  * @body    {string} zip - ZIP/Postal code
  * @body    {string} city - City
  * @body    {string} country - Country
- * @returns {Object} Created user
+ * @returns {Object} Created user; a link to confirm the email address is mailed. 409 if the email is in use
  */
-router.post(`/`, async (req, res) => {
+router.post(`/`, rateLimit("auth"), validate({ body: registerBody }), async (req, res) => {
+  await assertEmailAvailable(req.body.email);
   let user = new User({
     name: req.body.name,
     email: req.body.email,
@@ -85,116 +223,333 @@ router.post(`/`, async (req, res) => {
     country: req.body.country,
   });
   user = await user.save();
-  if (!user) {
-    return res.status(400).send("User cannot be created");
-  }
+  await recordAudit(req, { action: "user.create", entity: "User", after: user, actor: user._id });
+  await sendVerificationEmail(user);
   res.send(user);
 });
 
 /**
  * @route   POST api/v1/users/login
- * @desc    Authenticate user & get token
+ * @desc    Authenticate user & get a short-lived access token and a refresh token.
+ *          Wrong emails and wrong passwords get the same error; after
+ *          LOGIN_MAX_FAILURES failures the account is locked for a while.
  * @access  Public
  * @body    {string} email - User's email
  * @body    {string} password - User's password
- * @returns {Object} User email and token
+ * @body    {string} cartToken - Guest cart token to merge into the user's cart (or X-Cart-Token header)
+ * @returns {Object} User email, access token and refresh token. 400 for wrong credentials,
+ *          429 while the account is locked
  */
-router.post("/login", async (req, res) => {
-  // Find user by email
+router.post("/login", rateLimit("auth"), validate({ body: loginBody }), async (req, res) => {
+  await assertLoginAllowed(req.body.email);
+
   const user = await User.findOne({
     email: req.body.email,
   });
+  const passwordMatches = bcrypt.compareSync(
+    req.body.password,
+    user ? user.passwordHash : DUMMY_PASSWORD_HASH
+  );
+  if (!user || !passwordMatches) {
+    await recordLoginFailure(req.body.email);
+    throw new BadRequestError("Invalid email or password", { code: "INVALID_CREDENTIALS" });
+  }
+  await clearLoginFailures(req.body.email);
 
-  if (!user) {
-    return res.status(400).send("User not found");
-  }
-  
-  // Check password
-  if (user && bcrypt.compareSync(req.body.password, user.passwordHash)) {
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        isAdmin: user.isAdmin,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
-    res.status(200).send({
-      user: user.email,
-      token: token,
-    });
+  if (!user.isActive) {
+    throw new ForbiddenError("User is disabled", { code: "ACCOUNT_DISABLED" });
+  }
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !user.emailVerified) {
+    throw new ForbiddenError("Email address is not verified", { code: "EMAIL_NOT_VERIFIED" });
+  }
+  const { token, refreshToken } = await issueTokens(user, req.ip);
+  // Carry over what the user put in their cart before logging in
+  await mergeGuestCart(user.id, req.body.cartToken || guestTokenOf(req));
+  res.status(200).send({
+    user: user.email,
+    token: token,
+    refreshToken: refreshToken,
+  });
+});
+
+/**
+ * @route   POST api/v1/users/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair.
+ *          The presented refresh token is rotated and cannot be used again.
+ * @access  Public
+ * @body    {string} refreshToken - Refresh token from login or a previous refresh
+ * @returns {Object} New access token and refresh token
+ */
+router.post("/refresh", rateLimit("auth"), validate({ body: refreshBody }), async (req, res) => {
+  const { token, refreshToken } = await rotateRefreshToken(
+    req.body.refreshToken,
+    req.ip
+  );
+  res.status(200).send({
+    token: token,
+    refreshToken: refreshToken,
+  });
+});
+
+/**
+ * @route   POST api/v1/users/verify-email
+ * @desc    Confirm the account's email address with the token from the verification mail
+ * @access  Public
+ * @body    {string} token - Token from the verification mail
+ * @returns {Object} Success message, 400 if the token is invalid, expired or used
+ */
+router.post("/verify-email", rateLimit("auth"), validate({ body: tokenBody }), async (req, res) => {
+  const user = await verifyEmail(req.body.token);
+  // Verification tokens are only issued to unverified accounts
+  await recordAudit(req, {
+    action: "user.verify_email",
+    entity: "User",
+    entityId: user._id,
+    before: { emailVerified: false },
+    after: { emailVerified: true },
+    actor: user._id,
+  });
+  res.status(200).json({ success: true, message: "Email address verified" });
+});
+
+/**
+ * @route   POST api/v1/users/resend-verification
+ * @desc    Mail a new verification link to an unverified account.
+ *          Responds the same whether or not the address has an account.
+ * @access  Public
+ * @body    {string} email - Account email
+ * @returns {Object} Success message
+ */
+router.post("/resend-verification", rateLimit("mail"), validate({ body: emailBody }), async (req, res) => {
+  await requestEmailVerification(req.body.email);
+  res.status(200).json({
+    success: true,
+    message: "If the address belongs to an unverified account, a verification link was sent",
+  });
+});
+
+/**
+ * @route   POST api/v1/users/forgot-password
+ * @desc    Mail a single-use password reset link.
+ *          Responds the same whether or not the address has an account.
+ * @access  Public
+ * @body    {string} email - Account email
+ * @returns {Object} Success message
+ */
+router.post("/forgot-password", rateLimit("mail"), validate({ body: emailBody }), async (req, res) => {
+  await requestPasswordReset(req.body.email);
+  res.status(200).json({
+    success: true,
+    message: "If the address belongs to an account, a password reset link was sent",
+  });
+});
+
+/**
+ * @route   POST api/v1/users/reset-password
+ * @desc    Choose a new password with the token from the reset mail.
+ *          Every session of the user ends.
+ * @access  Public
+ * @body    {string} token - Token from the password reset mail
+ * @body    {string} password - New password
+ * @returns {Object} Success message, 400 if the token is invalid, expired or used
+ */
+router.post("/reset-password", rateLimit("auth"), validate({ body: resetPasswordBody }), async (req, res) => {
+  const user = await resetPassword(req.body.token, req.body.password);
+  // The old hash is gone; both sides are recorded redacted
+  await recordAudit(req, {
+    action: "user.reset_password",
+    entity: "User",
+    entityId: user._id,
+    before: { passwordHash: null },
+    after: { passwordHash: user.passwordHash },
+    actor: user._id,
+  });
+  res.status(200).json({ success: true, message: "Password has been reset" });
+});
+
+/**
+ * @route   POST api/v1/users/logout
+ * @desc    Revoke the current access token and its refresh token,
+ *          or every session of the user when `all` is true
+ * @access  Private
+ * @body    {string} refreshToken - Refresh token of the session to end
+ * @body    {boolean} all - End all sessions of the user
+ * @returns {Object} Success message
+ */
+router.post("/logout", validate({ body: logoutBody }), async (req, res) => {
+  if (!req.auth) {
+    throw new AuthenticationError();
+  }
+  await revokeAccessToken(req.auth);
+  if (req.body.all) {
+    await revokeUserSessions(req.auth.userId);
   } else {
-    res.status(400).send("Password is incorrect");
+    await revokeRefreshToken(req.body.refreshToken, req.auth.userId);
   }
+  res.status(200).json({ success: true, message: "Logged out successfully" });
 });
 
 /**
  * @route   PUT api/v1/users/:id
- * @desc    Update a user
- * @access  Private
+ * @desc    Update some fields of a user; omitted fields stay unchanged.
+ *          Passwords are changed with PUT /users/:id/password.
+ * @access  Private/Admin or owner
  * @param   {string} id - User ID
  * @body    {string} name - User's name
- * @body    {string} email - User's email
- * @body    {string} password - User's new password
+ * @body    {string} email - User's email (a new address has to be verified again)
  * @body    {string} phone - User's phone number
  * @body    {string} street - Street address
  * @body    {string} apartment - Apartment/Unit number
  * @body    {string} zip - ZIP/Postal code
  * @body    {string} city - City
  * @body    {string} country - Country
- * @body    {boolean} isAdmin - Admin status
- * @returns {Object} Updated user
- */
-router.put(`/:id`, async (req, res) => {
-  const user = await User.findByIdAndUpdate(
-    req.params.id,
-    {
-        name: req.body.name,
-        email: req.body.email,
-        passwordHash: bcrypt.hashSync(req.body.password, 10),
-        phone: req.body.phone,
-        street: req.body.street,
-        apartment: req.body.apartment,
-        zip: req.body.zip,
-        city: req.body.city,
-        country: req.body.country,
-        isAdmin: req.body.isAdmin,
-    },
-    { new: true }
-  );
+ * @body    {string} role - Role: customer, staff or admin (admins only)
+ * @body    {boolean} isAdmin - Legacy flag derived from role, must match it (admins only)
+ * @body    {boolean} isActive - Enable or disable the account (admins only)
+ * @returns {Object} Updated user, 400 if isAdmin contradicts the role,
+ *          403 if a non-admin sends role, isAdmin or isActive, 409 if the email is in use
+ */
+router.put(`/:id`, authorize("users:write", { owner: userOwner }), validate({ params: idParams, body: updateBody }), async (req, res) => {
+  const isAdmin = hasPermission(req.auth, "users:write");
+  if (!isAdmin && PRIVILEGED_FIELDS.some((field) => req.body[field] !== undefined)) {
+    throw new ForbiddenError(`Only admins can change ${PRIVILEGED_FIELDS.join(", ")}`);
+  }
+  if (req.body.password !== undefined) {
+    throw new BadRequestError("Change the password with PUT /users/:id/password");
+  }
+
+  const current = await User.findById(req.params.id);
+  if (!current) {
+    throw new NotFoundError("User not found");
+  }
+
+  // Undefined fields are left out of the update
+  const update = {
+    name: req.body.name,
+    email: req.body.email,
+    phone: req.body.phone,
+    street: req.body.street,
+    apartment: req.body.apartment,
+    zip: req.body.zip,
+    city: req.body.city,
+    country: req.body.country,
+  };
+  const emailChanged =
+    req.body.email !== undefined && normalizeEmail(req.body.email) !== current.email;
+  if (emailChanged) {
+    await assertEmailAvailable(req.body.email, current._id);
+    update.emailVerified = false;
+    update.emailVerifiedAt = null;
+  }
+
+  // The role decides; the legacy isAdmin flag follows it and never changes it
+  if (isAdmin) {
+    const role = req.body.role || current.getRole();
+    if (req.body.isAdmin !== undefined && req.body.isAdmin !== (role === "admin")) {
+      throw new BadRequestError(
+        `isAdmin must be ${role === "admin"} for role ${role}; change the role instead`
+      );
+    }
+    if (req.body.role) {
+      update.role = req.body.role;
+      update.isAdmin = req.body.role === "admin";
+    }
+    if (req.body.isActive !== undefined) {
+      update.isActive = req.body.isActive;
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.id, update, {
+    new: true,
+    runValidators: true,
+  });
 
   if (!user) {
-    return res
-      .status(400)
-      .json({ success: false, message: "User not found" });
+    throw new NotFoundError("User not found");
+  }
+  await recordAudit(req, { action: "user.update", entity: "User", before: current, after: user });
+
+  // A disabled account ends every existing session
+  if (update.isActive === false) {
+    await revokeUserSessions(user.id);
+  }
+  if (emailChanged) {
+    await sendVerificationEmail(user);
   }
   res.send(user);
 });
 
+/**
+ * @route   PUT api/v1/users/:id/password
+ * @desc    Change a user's password. Requires the current password and ends
+ *          every session; the owner gets fresh tokens for the current client.
+ * @access  Private/Admin or owner
+ * @param   {string} id - User ID
+ * @body    {string} currentPassword - The user's current password
+ * @body    {string} newPassword - The new password
+ * @returns {Object} Success message, plus token and refreshToken when the owner calls it.
+ *          400 if the current password is wrong
+ */
+router.put(`/:id/password`, rateLimit("auth"), authorize("users:write", { owner: userOwner }), validate({ params: idParams, body: changePasswordBody }), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  if (!bcrypt.compareSync(req.body.currentPassword, user.passwordHash)) {
+    throw new BadRequestError("Current password is incorrect", { code: "INVALID_CREDENTIALS" });
+  }
+
+  const before = auditSnapshot(user);
+  user.passwordHash = bcrypt.hashSync(req.body.newPassword, 10);
+  await user.save();
+  await recordAudit(req, { action: "user.change_password", entity: "User", before, after: user });
+  await revokeUserSessions(user.id);
+
+  if (!isOwner(req.auth, user._id)) {
+    return res.status(200).json({ success: true, message: "Password changed" });
+  }
+  // Reload for the sessionVersion bumped by revokeUserSessions
+  const { token, refreshToken } = await issueTokens(await User.findById(user.id), req.ip);
+  res.status(200).json({ success: true, message: "Password changed", token, refreshToken });
+});
+
 /**
  * @route   DELETE api/v1/users/:id
- * @desc    Delete a user
+ * @desc    Delete a user. The account is archived: it cannot log in, its
+ *          sessions end, its orders keep showing who placed them, and an admin
+ *          can restore it.
  * @access  Private/Admin
  * @param   {string} id - User ID
  * @returns {Object} Success message
  */
-router.delete("/:id", (req, res) => {
-  User.findByIdAndDelete(req.params.id)
-    .then((user) => {
-      if (user) {
-        return res
-          .status(200)
-          .json({ success: true, message: "User deleted successfully" });
-      } else {
-        return res
-          .status(404)
-          .json({ success: false, message: "User not found" });
-      }
-    })
-    .catch((err) => {
-      return res.status(500).json({ success: false, error: err.message });
-    });
+router.delete("/:id", authorize("users:delete"), validate({ params: idParams }), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  const before = auditSnapshot(user);
+  await user.softDelete();
+  await recordAudit(req, { action: "user.delete", entity: "User", before, after: user });
+  await revokeUserSessions(user.id);
+  res.status(200).json({ success: true, message: "User deleted successfully" });
+});
+
+/**
+ * @route   POST api/v1/users/:id/restore
+ * @desc    Restore a deleted user, who logs in with the old password again
+ * @access  Private/Admin
+ * @param   {string} id - User ID
+ * @returns {Object} Restored user (excluding password)
+ */
+router.post(`/:id/restore`, authorize("archive:manage"), validate({ params: idParams }), async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!user) {
+    throw new NotFoundError("Deleted user not found");
+  }
+  const before = auditSnapshot(user);
+  await user.restore();
+  await recordAudit(req, { action: "user.restore", entity: "User", before, after: user });
+  res.status(200).json({ user });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -21,6 +21,31 @@ try {
   console.error('Error generating schemas from models:', err);
 }
 
+/**
+ * Build the schema of a paginated list envelope (see helpers/list-query.js)
+ * @param {string} itemSchema - Name of the schema of the listed items
+ * @returns {Object} OpenAPI schema
+ */
+function pageSchema(itemSchema) {
+  return {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: `#/components/schemas/${itemSchema}` } },
+      total: { type: 'integer', example: 42 },
+      page: { type: 'integer', example: 1 },
+      limit: { type: 'integer', example: 20 },
+      totalPages: { type: 'integer', example: 3 },
+      links: {
+        type: 'object',
+        properties: {
+          next: { type: 'string', nullable: true, example: '/api/v1/products?page=2' },
+          prev: { type: 'string', nullable: true, example: null },
+        },
+      },
+    },
+  };
+}
+
 // Auto-generate paths from router files
 let generatedPaths = {};
 try {
@@ -69,6 +94,38 @@ const swaggerDefinition = {
     {
       name: 'Orders',
       description: 'Order processing and management'
+    },
+    {
+      name: 'Carts',
+      description: 'Shopping carts for users and guests'
+    },
+    {
+      name: 'Coupons',
+      description: 'Coupon and discount rule management'
+    },
+    {
+      name: 'ShippingZones',
+      description: 'Shipping zones and rates'
+    },
+    {
+      name: 'TaxRules',
+      description: 'Tax rules per country or region'
+    },
+    {
+      name: 'Payments',
+      description: 'Payment provider webhooks'
+    },
+    {
+      name: 'Reviews',
+      description: 'Product reviews and moderation'
+    },
+    {
+      name: 'Media',
+      description: 'Uploaded files, reference counts and cleanup'
+    },
+    {
+      name: 'Audit',
+      description: 'Audit log of changes made through the API'
     }
   ],
   components: {
@@ -126,12 +183,85 @@ const swaggerDefinition = {
         }
       },
       
-      // Always include Error schema
+      // Paginated list envelopes
+      ProductPage: pageSchema('Product'),
+      OrderPage: pageSchema('Order'),
+      UserPage: pageSchema('User'),
+      CouponPage: pageSchema('Coupon'),
+      ReviewPage: pageSchema('Review'),
+      ProductSearchResult: {
+        allOf: [
+          pageSchema('Product'),
+          {
+            type: 'object',
+            properties: {
+              facets: {
+                type: 'object',
+                properties: {
+                  categories: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        count: { type: 'integer' },
+                      },
+                    },
+                  },
+                  brands: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        brand: { type: 'string' },
+                        count: { type: 'integer' },
+                      },
+                    },
+                  },
+                  priceRanges: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        min: { type: 'number' },
+                        max: { type: 'number', nullable: true },
+                        count: { type: 'integer' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      
+      // Always include Error schema, the envelope rendered by helpers/error-handler.js
       Error: {
         type: 'object',
+        required: ['code', 'message', 'requestId'],
         properties: {
-          success: { type: 'boolean', example: false },
-          message: { type: 'string' },
+          code: { type: 'string', example: 'NOT_FOUND', description: 'Machine-readable error code' },
+          message: { type: 'string', example: 'Product not found' },
+          details: {
+            description: 'Extra information, e.g. the failing fields of an invalid request',
+            oneOf: [
+              {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    location: { type: 'string', enum: ['body', 'params', 'query'] },
+                    field: { type: 'string' },
+                    message: { type: 'string' },
+                  },
+                },
+              },
+              { type: 'object' },
+            ],
+          },
+          requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
         },
       },
     },
@@ -144,8 +274,9 @@ const swaggerDefinition = {
               $ref: '#/components/schemas/Error',
             },
             example: {
-              success: false,
-              message: 'Unauthorized',
+              code: 'UNAUTHENTICATED',
+              message: 'Authentication required',
+              requestId: '3f2b8c1e-5d4a-4f7b-9c2e-1a6d8e0b7c45',
             },
           },
         },
@@ -158,8 +289,9 @@ const swaggerDefinition = {
               $ref: '#/components/schemas/Error',
             },
             example: {
-              success: false,
+              code: 'NOT_FOUND',
               message: 'Resource not found',
+              requestId: '3f2b8c1e-5d4a-4f7b-9c2e-1a6d8e0b7c45',
             },
           },
         },
@@ -172,8 +304,9 @@ const swaggerDefinition = {
               $ref: '#/components/schemas/Error',
             },
             example: {
-              success: false,
-              message: 'Server error',
+              code: 'INTERNAL_ERROR',
+              message: 'Internal server error',
+              requestId: '3f2b8c1e-5d4a-4f7b-9c2e-1a6d8e0b7c45',
             },
           },
         },
@@ -0,0 +1,46 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { getMailTransport, sendMail } = require("../helpers/mailer");
+
+describe("file mail transport", () => {
+  let mailDir;
+
+  before(async () => {
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), "e-shop-mail-"));
+    process.env.MAIL_DIR = mailDir;
+    process.env.MAIL_TRANSPORT = "file";
+  });
+
+  after(async () => {
+    delete process.env.MAIL_DIR;
+    delete process.env.MAIL_TRANSPORT;
+    await fs.rm(mailDir, { recursive: true, force: true });
+  });
+
+  test("is selected with MAIL_TRANSPORT", () => {
+    assert.equal(getMailTransport().name, "file");
+  });
+
+  test("writes each message to its own JSON file in MAIL_DIR", async () => {
+    const first = await sendMail({
+      to: "ada@example.com",
+      subject: "Verify your email address",
+      text: "Open http://localhost:3000/verify-email?token=abc to verify",
+    });
+    await sendMail({ to: "grace@example.com", subject: "Reset your password", text: "..." });
+
+    assert.equal(path.dirname(first.path), mailDir);
+    assert.equal((await fs.readdir(mailDir)).length, 2);
+
+    const message = JSON.parse(await fs.readFile(first.path, "utf8"));
+    assert.equal(message.id, first.id);
+    assert.equal(message.to, "ada@example.com");
+    assert.equal(message.subject, "Verify your email address");
+    assert.match(message.text, /token=abc/);
+    assert.ok(message.from);
+  });
+});
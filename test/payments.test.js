@@ -0,0 +1,190 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = "test-webhook-secret";
+
+const mock = require("../helpers/payment-providers/mock");
+const {
+  createPayment,
+  handleWebhook,
+  refundOrderPayments,
+  refundPayment,
+} = require("../helpers/payments");
+const { changeOrderStatus, placeOrder } = require("../helpers/order-placement");
+const { Category } = require("../models/category");
+const { Order } = require("../models/order");
+const { Payment } = require("../models/payment");
+const { Product } = require("../models/product");
+
+
+const address = {
+  shippingAddress1: "1 Main Street",
+  city: "Springfield",
+  zip: "12345",
+  country: "US",
+  phone: "555-0100",
+};
+
+/**
+ * Build a signed mock webhook the way the payments router hands it to handleWebhook
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {[Buffer, Object]} Raw body and lower-case headers
+ */
+function webhook(type, data) {
+  const { body, headers } = mock.createWebhookEvent(type, data);
+  return [Buffer.from(body), { "x-mock-signature": headers["X-Mock-Signature"] }];
+}
+
+describe("mock payment provider", () => {
+  test("accepts the webhooks it signs", () => {
+    const [body, headers] = webhook("payment.succeeded", { reference: "mock_pi_1" });
+    const event = mock.verifyWebhook(body, headers);
+    assert.equal(event.type, "payment.succeeded");
+    assert.equal(event.reference, "mock_pi_1");
+  });
+
+  test("rejects webhooks changed after signing", () => {
+    const [body, headers] = webhook("payment.succeeded", { reference: "mock_pi_1" });
+    const tampered = Buffer.from(body.toString().replace("mock_pi_1", "mock_pi_2"));
+    assert.throws(() => mock.verifyWebhook(tampered, headers), /signature/);
+  });
+});
+
+// Transactions need MongoDB running as a replica set: MONGODB_TEST_URI names one,
+// otherwise a single-member one is started in-process. A throwaway database is used per run.
+describe("pay, webhook and refund", () => {
+  let replSet;
+  let product;
+
+  before(async () => {
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+      replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+      uri = replSet.getUri();
+    }
+    await mongoose.connect(uri, { dbName: `e-shop-test-${process.pid}` });
+    // Collections cannot be created inside transactions
+    await Promise.all(Object.values(mongoose.models).map((model) => model.createCollection()));
+    const category = await new Category({ name: "Books" }).save();
+    product = await new Product({
+      name: "Notebook",
+      description: "Dotted, A5",
+      price: 12.5,
+      category: category._id,
+      countInStock: 10,
+    }).save();
+  });
+
+  after(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    }
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  /**
+   * Place an order for two notebooks and pay it through the mock provider's webhook
+   * @returns {Promise<{order: Object, payment: Object}>} Paid order and its payment
+   */
+  async function placePaidOrder() {
+    const placed = await placeOrder([{ product: product.id, quantity: 2 }], address);
+    const { payment } = await createPayment(placed.id, { provider: "mock" });
+    await handleWebhook("mock", ...webhook("payment.succeeded", { reference: payment.reference }));
+    return { order: await Order.findById(placed.id), payment };
+  }
+
+  test("a succeeded payment webhook marks the order Paid, once", async () => {
+    const placed = await placeOrder([{ product: product.id, quantity: 1 }], address);
+    const { payment, clientSecret } = await createPayment(placed.id, { provider: "mock" });
+    assert.equal(payment.status, "pending");
+    assert.equal(payment.amount, placed.totalPrice);
+    assert.ok(clientSecret);
+
+    const [body, headers] = webhook("payment.succeeded", { reference: payment.reference });
+    const paid = await handleWebhook("mock", body, headers);
+    assert.equal(paid.status, "succeeded");
+    // Providers retry webhooks; the same event is applied once only
+    await handleWebhook("mock", body, headers);
+
+    const order = await Order.findById(placed.id);
+    assert.equal(order.status, "Paid");
+    assert.deepEqual(
+      order.statusHistory.map((change) => change.status),
+      ["Pending", "Paid"]
+    );
+  });
+
+  test("refunds a paid order partially, then in full", async () => {
+    const { payment } = await placePaidOrder();
+
+    const partial = await refundPayment(await Payment.findById(payment._id), {
+      amount: 5,
+      reason: "Damaged cover",
+    });
+    assert.equal(partial.status, "partially_refunded");
+    assert.equal(partial.amountRefunded, 5);
+
+    const full = await refundPayment(partial);
+    assert.equal(full.status, "refunded");
+    assert.equal(full.amountRefunded, payment.amount);
+    await assert.rejects(refundPayment(full), { code: "PAYMENT_CONFLICT" });
+  });
+
+  test("cancelling a paid order puts the stock back and refunds the payment", async () => {
+    const stockBefore = (await Product.findById(product._id)).countInStock;
+    const { order, payment } = await placePaidOrder();
+    assert.equal((await Product.findById(product._id)).countInStock, stockBefore - 2);
+
+    const cancelled = await changeOrderStatus(order._id, "Cancelled");
+    const refunds = await refundOrderPayments(cancelled._id, { reason: "Order cancelled" });
+
+    assert.equal(cancelled.status, "Cancelled");
+    assert.equal((await Product.findById(product._id)).countInStock, stockBefore);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].before.status, "succeeded");
+    assert.equal(refunds[0].payment.status, "refunded");
+    assert.equal(refunds[0].payment.amountRefunded, payment.amount);
+  });
+
+  test("a payment succeeding after its order was cancelled is refunded", async () => {
+    const placed = await placeOrder([{ product: product.id, quantity: 1 }], address);
+    const { payment } = await createPayment(placed.id, { provider: "mock" });
+    await changeOrderStatus(placed._id, "Cancelled");
+
+    const refunded = await handleWebhook(
+      "mock",
+      ...webhook("payment.succeeded", { reference: payment.reference })
+    );
+    assert.equal(refunded.status, "refunded");
+    assert.equal(refunded.refundRequired, false);
+    assert.equal((await Order.findById(placed.id)).status, "Cancelled");
+  });
+
+  test("a failed refund of a payment after cancellation is retried with the webhook", async (t) => {
+    const placed = await placeOrder([{ product: product.id, quantity: 1 }], address);
+    const { payment } = await createPayment(placed.id, { provider: "mock" });
+    await changeOrderStatus(placed._id, "Cancelled");
+
+    const refund = t.mock.method(mock, "refund");
+    refund.mock.mockImplementationOnce(async () => {
+      throw new Error("Provider unavailable");
+    });
+    const [body, headers] = webhook("payment.succeeded", { reference: payment.reference });
+    await assert.rejects(handleWebhook("mock", body, headers), /Provider unavailable/);
+    const owed = await Payment.findById(payment._id);
+    assert.equal(owed.status, "succeeded");
+    assert.equal(owed.refundRequired, true);
+
+    // The provider retries the same event
+    const refunded = await handleWebhook("mock", body, headers);
+    assert.equal(refunded.status, "refunded");
+    assert.equal(refunded.refundRequired, false);
+    assert.equal(refund.mock.callCount(), 2);
+  });
+});
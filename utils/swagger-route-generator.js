@@ -1,5 +1,6 @@
 const path = require('path');
 const fs = require('fs');
+const { toOpenApiObject, toOpenApiParameters } = require('../helpers/validate');
 
 /**
  * Extract route path parameters
@@ -25,6 +26,48 @@ function extractPathParams(routePath) {
   return params;
 }
 
+// Tags whose list endpoint is paginated (see helpers/list-query.js)
+const PAGINATED_TAGS = ['Products', 'Orders', 'Users', 'Coupons', 'Reviews', 'Media', 'Audit'];
+
+/**
+ * Query parameters shared by paginated list endpoints
+ * @returns {Array} - Array of parameter objects
+ */
+function paginationParams() {
+  return [
+    { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: 'Page number' },
+    { name: 'limit', in: 'query', schema: { type: 'integer', default: 20, maximum: 100 }, description: 'Page size' },
+    { name: 'sort', in: 'query', schema: { type: 'string' }, description: 'Comma-separated sort fields, prefix with - for descending' }
+  ];
+}
+
+/**
+ * Find the request schema declared with validate() on a route
+ * @param {Object} route - Express route
+ * @returns {Object|undefined} - Schema with body, params, query and multipart
+ */
+function findRequestSchema(route) {
+  return route.stack.map(layer => layer.handle && layer.handle.requestSchema).find(Boolean);
+}
+
+/**
+ * Build a request body from a declared body schema
+ * @param {Object} schema - Request schema declared with validate()
+ * @returns {Object} - Request body object
+ */
+function requestBodyFromSchema(schema) {
+  const bodySchema = toOpenApiObject(schema.body);
+  Object.keys(schema.files || {}).forEach(name => {
+    bodySchema.properties[name] = { type: 'string', format: 'binary', description: schema.files[name] };
+  });
+  return {
+    required: !!bodySchema.required,
+    content: {
+      [schema.multipart ? 'multipart/form-data' : 'application/json']: { schema: bodySchema }
+    }
+  };
+}
+
 /**
  * Generate operation ID from route path and method
  * @param {string} path - Route path
@@ -112,7 +155,13 @@ function determineResponseSchema(routePath, method, tag) {
   const singularTag = tag.endsWith('s') ? tag.slice(0, -1) : tag; // Remove 's' to get singular
   
   // Handle GET list endpoints
-  if (method === 'get' && (routePath === '/' || routePath === '')) {
+  if (method === 'get' && (routePath === '/' || routePath === '') && PAGINATED_TAGS.includes(tag)) {
+    successResponse.description = `Page of ${tag}`;
+    successResponse.content['application/json'].schema = {
+      $ref: `#/components/schemas/${singularTag}Page`
+    };
+  }
+  else if (method === 'get' && (routePath === '/' || routePath === '')) {
     successResponse.description = `List of ${tag}`;
     successResponse.content['application/json'].schema = {
       type: 'array',
@@ -168,7 +217,30 @@ function determineResponseSchema(routePath, method, tag) {
       type: 'object',
       properties: {
         user: { type: 'string', example: 'user@example.com' },
-        token: { type: 'string', example: 'eyJhbGciOiJIUzI1...' }
+        token: { type: 'string', example: 'eyJhbGciOiJIUzI1...' },
+        refreshToken: { type: 'string', example: '9f86d081884c7d65...' }
+      }
+    };
+  }
+  // Handle token refresh
+  else if (method === 'post' && routePath.includes('/refresh')) {
+    successResponse.description = 'New token pair';
+    successResponse.content['application/json'].schema = {
+      type: 'object',
+      properties: {
+        token: { type: 'string', example: 'eyJhbGciOiJIUzI1...' },
+        refreshToken: { type: 'string', example: '9f86d081884c7d65...' }
+      }
+    };
+  }
+  // Handle logout
+  else if (method === 'post' && routePath.includes('/logout')) {
+    successResponse.description = 'Logged out';
+    successResponse.content['application/json'].schema = {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        message: { type: 'string', example: 'Logged out successfully' }
       }
     };
   }
@@ -243,6 +315,25 @@ function determineRequestBody(routePath, method, tag) {
     };
   }
   
+  // For token refresh and logout
+  if (routePath.includes('/refresh') || routePath.includes('/logout')) {
+    const properties = {
+      refreshToken: { type: 'string', example: '9f86d081884c7d65...' }
+    };
+    const schema = { type: 'object', properties };
+    if (routePath.includes('/logout')) {
+      properties.all = { type: 'boolean', description: 'End all sessions', example: false };
+    } else {
+      schema.required = ['refreshToken'];
+    }
+    return {
+      required: routePath.includes('/refresh'),
+      content: {
+        'application/json': { schema }
+      }
+    };
+  }
+  
   // Default for other POST and PUT operations
   return {
     required: true,
@@ -275,7 +366,8 @@ function generateSwaggerPaths() {
       try {
         const router = require(path.join(routersDir, routerFile));
         const tag = generateTag(routerFile);
-        const baseUrl = `/${path.basename(routerFile, '.js')}`;
+        // Nested routers declare where they are mounted, e.g. /products/:id/reviews
+        const baseUrl = router.mountPath || `/${path.basename(routerFile, '.js')}`;
         
         // Access the internal stack of the router to extract routes
         const stack = router.stack || [];
@@ -290,9 +382,20 @@ function generateSwaggerPaths() {
           Object.keys(route.methods).forEach(method => {
             const methodName = method.toLowerCase();
             const operationId = generateOperationId(route.path, methodName);
-            const parameters = extractPathParams(route.path);
+            // Declared request schemas take precedence over what the path tells
+            const schema = findRequestSchema(route) || {};
+            const parameters = schema.params
+              ? toOpenApiParameters(schema.params, 'path')
+              : extractPathParams(route.path);
+            if (schema.query) {
+              parameters.push(...toOpenApiParameters(schema.query, 'query'));
+            } else if (methodName === 'get' && route.path === '/' && PAGINATED_TAGS.includes(tag)) {
+              parameters.push(...paginationParams());
+            }
             const responses = determineResponseSchema(route.path, methodName, tag);
-            const requestBody = determineRequestBody(route.path, methodName, tag);
+            const requestBody = schema.body
+              ? requestBodyFromSchema(schema)
+              : determineRequestBody(route.path, methodName, tag);
             
             // Prepare path object for Swagger
             const pathObj = {